@@ -2,52 +2,296 @@
 // All data stored locally using chrome.storage.local - no external servers
 // Uses heartbeat-based tracking for accurate time measurement
 
-const HEARTBEAT_INTERVAL_SECONDS = 30;
-const MAX_VALID_GAP_MS = 45 * 1000; // 45 seconds - if gap is larger, system was likely asleep
+importScripts('common.js', 'categories.js', 'suffixes.js', 'storage.js', 'sync.js');
+
+const MAX_GAP_RATIO = 1.5; // a gap over 1.5 heartbeats means the system was likely asleep
+const MAX_PAUSE_MINUTES = 24 * 60;
+const MAINTENANCE_INTERVAL_MINUTES = 24 * 60;
+const BLOCKED_PAGE = 'blocked.html';
+const MAX_TITLES_PER_DOMAIN = 50; // per day - further titles are lumped together
+const MAX_TITLE_LENGTH = 120;
+const OTHER_TITLES = '(other pages)';
+const FOCUS_END_ALARM = 'focus-end';
+const FOCUS_BREAK_ALARM = 'focus-break-end';
+const MAX_FOCUS_MINUTES = 240;
+const MAX_BREAK_MINUTES = 60;
+const DIGEST_ALARM = 'weekly-digest';
+const DIGEST_HOUR = 9; // Monday morning, local time
+const BADGE_COLORS = { normal: '#8E8E93', warning: '#FF9500', exceeded: '#FF3B30' };
+const BADGE_WARNING_RATIO = 0.8; // share of a limit used before the badge turns orange
+const PIP_SCRIPT_ID = 'picture-in-picture';
+const UNDO_WINDOW_MS = 30 * 1000; // how long a deletion can be undone
+const MAX_DAY_MS = 24 * 60 * 60 * 1000;
+const SYNC_ALARM = 'sync';
+const SYNC_INTERVAL_MINUTES = 15;
+const MAX_FAVICON_LENGTH = 8 * 1024; // cached data URLs larger than this aren't kept
+const EXTERNAL_API_VERSION = 1;
+const MAX_EXTERNAL_RANGE_DAYS = 366;
+const PAUSE_SHORTCUT_MINUTES = 60;
+const PAGE_URL_PATTERNS = ['http://*/*', 'https://*/*'];
+const STORAGE_PRUNE_RATIO = 0.9; // share of the local storage quota that starts freeing space
+const STORAGE_TARGET_RATIO = 0.75; // and where it stops
+// Pages opened by clicking a notification, by notification ID - other notifications just close
+const NOTIFICATION_PAGES = {
+  'focus-session': 'dashboard.html#focus',
+  'focus-break': 'dashboard.html#focus',
+  'weekly-digest': 'dashboard.html'
+};
 
 // Initialize on install
 chrome.runtime.onInstalled.addListener(() => {
   console.log('WebTime installed - tracking time privately');
   initializeStorage();
-  setupHeartbeatAlarm();
+  getSettings().then(setupHeartbeatAlarm);
+  setupContextMenus();
 });
 
 // Also setup alarm on startup (service worker restart)
-chrome.runtime.onStartup.addListener(() => {
-  setupHeartbeatAlarm();
+chrome.runtime.onStartup.addListener(async () => {
+  await setupHeartbeatAlarm(await getSettings());
 });
 
-// Setup the heartbeat alarm
-function setupHeartbeatAlarm() {
-  chrome.alarms.create('heartbeat', {
-    periodInMinutes: HEARTBEAT_INTERVAL_SECONDS / 60
+// Setup the heartbeat alarm at the configured interval (kept when unchanged, so it isn't postponed)
+async function setupHeartbeatAlarm(settings) {
+  const periodInMinutes = settings.heartbeatSeconds / 60;
+  const existing = await chrome.alarms.get('heartbeat');
+  if (existing?.periodInMinutes !== periodInMinutes) {
+    chrome.alarms.create('heartbeat', { periodInMinutes });
+  }
+}
+
+// Longest gap between heartbeats that is still counted
+function getMaxValidGap(settings) {
+  return settings.heartbeatSeconds * 1000 * MAX_GAP_RATIO;
+}
+
+// Setup the daily maintenance alarm (kept if it already exists, so restarts don't postpone it)
+// Maintenance reads all history, so it only runs from this alarm - not on every service worker wake
+async function setupMaintenanceAlarm() {
+  const existing = await chrome.alarms.get('maintenance');
+  if (!existing) {
+    chrome.alarms.create('maintenance', {
+      delayInMinutes: 1,
+      periodInMinutes: MAINTENANCE_INTERVAL_MINUTES
+    });
+  }
+}
+
+// Schedule the weekly digest for next Monday morning, or cancel it when turned off
+async function setupDigestAlarm(settings) {
+  if (!settings.weeklyDigest) {
+    await chrome.alarms.clear(DIGEST_ALARM);
+    return;
+  }
+  if (await chrome.alarms.get(DIGEST_ALARM)) return;
+  
+  const now = new Date();
+  const next = new Date(now);
+  next.setHours(DIGEST_HOUR, 0, 0, 0);
+  next.setDate(next.getDate() + ((8 - next.getDay()) % 7 || (next <= now ? 7 : 0)));
+  chrome.alarms.create(DIGEST_ALARM, {
+    when: next.getTime(),
+    periodInMinutes: 7 * 24 * 60
   });
 }
 
+// Sync periodically while a sync mode is on
+async function setupSyncAlarm(settings) {
+  if (settings.syncMode === 'off') {
+    await chrome.alarms.clear(SYNC_ALARM);
+    return;
+  }
+  if (!(await chrome.alarms.get(SYNC_ALARM))) {
+    chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+  }
+}
+
+// Share this device's daily totals and take in other devices', through the chosen sync mode
+// The outcome is kept in webtime_sync_status for the options page
+async function runSync() {
+  const settings = await getSettings();
+  if (settings.syncMode === 'off') return null;
+  
+  let status;
+  try {
+    const device = await getDeviceInfo();
+    const data = await loadWebTimeData();
+    const days = settings.syncMode === 'storage' ? SYNC_STORAGE_DAYS : SYNC_FOLDER_DAYS;
+    const start = new Date();
+    start.setDate(start.getDate() - (days - 1));
+    const keys = getDateKeysInRange(getDateKey(start), getTodayKey());
+    let payloads;
+    if (settings.syncMode === 'storage') {
+      await pushToStorageSync(buildSyncPayload(data, device, keys, SYNC_ITEM_BYTES));
+      payloads = await pullFromStorageSync(device.id);
+    } else {
+      const { [SYNC_SECRET_KEY]: passphrase } = await chrome.storage.local.get([SYNC_SECRET_KEY]);
+      if (!passphrase) {
+        throw new Error('Set a sync passphrase in Settings');
+      }
+      payloads = await syncWithFolder(buildSyncPayload(data, device, keys), passphrase);
+    }
+    
+    // Other devices' days follow this device's retention
+    const cutoffKey = getRetentionCutoffKey(settings.retentionDays);
+    status = { lastSync: Date.now(), devices: payloads.length, error: null };
+    await queueMutation(async (tx) => {
+      const devices = await tx.get(DEVICES_KEY, {});
+      payloads
+        .filter(payload => isValidSyncPayload(payload) && payload.id !== device.id)
+        .forEach(payload => mergeDevicePayload(devices, payload, cutoffKey));
+      tx.set(DEVICES_KEY, devices);
+      tx.set(SYNC_STATUS_KEY, status);
+    });
+  } catch (error) {
+    console.error('Error syncing:', error);
+    const { [SYNC_STATUS_KEY]: previous } = await chrome.storage.local.get([SYNC_STATUS_KEY]);
+    status = { ...previous, error: error.message };
+    await queueMutation(tx => tx.set(SYNC_STATUS_KEY, status));
+  }
+  return status;
+}
+
+// Notify a summary of the last 7 days compared with the week before
+async function sendWeeklyDigest() {
+  try {
+    const settings = await getSettings();
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    
+    const digest = buildWeeklyDigest(await loadWebTimeData(), getDateKey(yesterday), settings);
+    if (digest) {
+      showNotification(digest.title, digest.message, 'weekly-digest');
+    }
+  } catch (error) {
+    console.error('Error sending weekly digest:', error);
+  }
+}
+
 // Initialize storage structure
+// Also moves pre-v2 history (a single webtime_data key) to one key per day
 async function initializeStorage() {
-  const data = await chrome.storage.local.get(['webtime_data', 'webtime_tracking']);
-  
-  if (!data.webtime_data) {
-    await chrome.storage.local.set({
-      webtime_data: {
-        sites: {},
-        dailyStats: {},
-        hourlyStats: {},
-        lastUpdated: Date.now()
+  await queueMutation(async (tx) => {
+    const legacy = await tx.get('webtime_data');
+    const meta = await tx.get(META_KEY);
+    
+    if (legacy) {
+      await writeWebTimeData(tx, migrateWebTimeData(legacy));
+      tx.remove('webtime_data');
+      
+      const legacyPaths = await tx.get('webtime_paths');
+      if (legacyPaths) {
+        await writePathData(tx, legacyPaths);
+        tx.remove('webtime_paths');
+      }
+      console.log(`WebTime data migrated to schema version ${SCHEMA_VERSION}`);
+    } else if (!meta) {
+      await writeWebTimeData(tx, createEmptyWebTimeData());
+    } else if (meta.version < SCHEMA_VERSION) {
+      const migrated = migrateWebTimeData(await readWebTimeData(tx));
+      await writeWebTimeData(tx, migrated);
+      console.log(`WebTime data migrated to schema version ${migrated.version}`);
+    }
+    
+    // Tracking state from before per-window tracking is rebuilt by captureWindows()
+    const tracking = await tx.get(TRACKING_KEY);
+    if (!tracking?.windows) {
+      tx.set(TRACKING_KEY, createTrackingState());
+    }
+  });
+}
+
+// Daily maintenance - roll old days into monthly aggregates and prune the session log
+async function runMaintenance() {
+  try {
+    const settings = await getSettings();
+    await queueMutation(async (tx) => {
+      const data = await readWebTimeData(tx);
+      const pathData = await readPathData(tx);
+      const logData = await readLogData(tx);
+      
+      if (applyRetention(data, pathData, settings.retentionDays, logData)) {
+        data.lastUpdated = Date.now();
+        await writeWebTimeData(tx, data);
+        await writePathData(tx, pathData);
+        await writeLogData(tx, logData);
+      }
+      
+      const logCutoffKey = getRetentionCutoffKey(LOG_RETENTION_DAYS);
+      (await tx.keys(LOG_KEY_PREFIX))
+        .filter(key => key.slice(LOG_KEY_PREFIX.length) < logCutoffKey)
+        .forEach(key => tx.remove(key));
+      
+      // Drop a deletion that can no longer be undone
+      const undo = await tx.get(UNDO_KEY, null);
+      if (undo && undo.expiresAt < Date.now()) {
+        tx.remove(UNDO_KEY);
       }
     });
+    await freeStorage();
+  } catch (error) {
+    console.error('Error running maintenance:', error);
   }
+}
+
+// Whether a failed write ran into the local storage quota
+function isQuotaError(error) {
+  return /quota/i.test(error?.message || '');
+}
+
+// Make room when local storage is nearly full, so tracking doesn't stop: the oldest days go first,
+// as the retention policy would take them - page details and session log dropped, history rolled
+// into monthly totals. The removals are committed on their own first, as a full quota still allows
+// them, and leave room for the roll-up's writes. Returns the new cutoff date key, or null
+async function freeStorage() {
+  const quota = chrome.storage.local.QUOTA_BYTES;
+  const bytes = await chrome.storage.local.getBytesInUse(null);
+  if (bytes < quota * STORAGE_PRUNE_RATIO) return null;
   
-  if (!data.webtime_tracking) {
-    await chrome.storage.local.set({
-      webtime_tracking: {
-        activeTabUrl: null,
-        lastHeartbeat: null,
-        isIdle: false
-      }
-    });
+  // Approximate each day's share the way getBytesInUse counts it - key plus JSON value
+  const sizes = {};
+  const prefixes = [DAY_KEY_PREFIX, PATHS_KEY_PREFIX, LOG_KEY_PREFIX];
+  Object.entries(await chrome.storage.local.get(null)).forEach(([key, value]) => {
+    const prefix = prefixes.find(prefix => key.startsWith(prefix));
+    if (!prefix) return;
+    const dateKey = key.slice(prefix.length);
+    sizes[dateKey] = (sizes[dateKey] || 0) + key.length + JSON.stringify(value).length;
+  });
+  
+  // Today is never pruned
+  const todayKey = getTodayKey();
+  const dateKeys = Object.keys(sizes).filter(key => key < todayKey).sort();
+  let excess = bytes - quota * STORAGE_TARGET_RATIO;
+  let count = 0;
+  while (count < dateKeys.length && excess > 0) {
+    excess -= sizes[dateKeys[count]];
+    count++;
   }
+  if (count === 0) return null;
+  const cutoffKey = dateKeys[count] || todayKey;
+  
+  await queueMutation(async (tx) => {
+    for (const prefix of [PATHS_KEY_PREFIX, LOG_KEY_PREFIX]) {
+      (await tx.keys(prefix))
+        .filter(key => key.slice(prefix.length) < cutoffKey)
+        .forEach(key => tx.remove(key));
+    }
+  });
+  await queueMutation(async (tx) => {
+    const data = await readWebTimeData(tx);
+    if (rollUpHistory(data, {}, cutoffKey, {})) {
+      data.lastUpdated = Date.now();
+      await writeWebTimeData(tx, data);
+    }
+    tx.set(STORAGE_STATUS_KEY, { prunedBefore: cutoffKey, prunedAt: Date.now() });
+  });
+  
+  showNotification(
+    'Storage almost full',
+    `History before ${parseDateKey(cutoffKey).toLocaleDateString()} was rolled into monthly totals to make room. ` +
+    'Export it first next time, or choose a shorter retention in Settings.'
+  );
+  return cutoffKey;
 }
 
 // Get domain from URL
@@ -58,7 +302,7 @@ function getDomain(url) {
     if (!urlObj.protocol.startsWith('http')) {
       return null;
     }
-    return urlObj.hostname.replace('www.', '');
+    return urlObj.hostname.replace(/^www\./, '');
   } catch {
     return null;
   }
@@ -72,289 +316,1471 @@ const BLOCKED_DOMAINS = [
 ];
 
 // Check if domain should be tracked
-function shouldTrackDomain(domain) {
+// Built-in exclusions always apply, then the user's block rules, then allowlist-only mode
+function shouldTrackDomain(domain, settings) {
   if (!domain) return false;
   if (BLOCKED_DOMAINS.includes(domain)) return false;
   if (domain.endsWith('.local')) return false;
+  if (matchesAnyRule(settings.blockRules, domain)) return false;
+  if (settings.allowlistOnly) return matchesAnyRule(settings.allowRules, domain);
   return true;
 }
 
-// Get today's date key (uses local timezone)
-function getTodayKey() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// Default tracking state
+// windows maps each window id to its active tab { tabId, url, title }; focusedWindowId is
+// WINDOW_ID_NONE while no browser window has focus. pipTabs holds ids of tabs reporting a
+// picture-in-picture video (see pip.js). pausedUntil is set while tracking is paused from the popup
+function createTrackingState() {
+  return {
+    windows: {},
+    focusedWindowId: chrome.windows.WINDOW_ID_NONE,
+    lastHeartbeat: null,
+    isIdle: false,
+    pipTabs: [],
+    pausedUntil: null
+  };
 }
 
-// Get favicon URL using Google's favicon service
-function getFaviconUrl(domain) {
-  // Use Google's favicon service - reliable and works in all browsers
-  return `https://www.google.com/s2/favicons?domain=${encodeURIComponent(domain)}&sz=32`;
+// Whether time and visits count right now: not paused and within the tracking schedule
+function isTrackingActive(tracking, settings, now) {
+  return !(tracking.pausedUntil > now) && isWithinSchedule(new Date(now), settings);
 }
 
-// Heartbeat handler - called by chrome.alarms
-async function handleHeartbeat() {
-  const now = Date.now();
+// Pages being looked at: the focused window's active tab, or with windowMode 'visible'
+// the active tab of every window that isn't minimized. Focused window first.
+// Returns [{ windowId, tabId, url, title }]
+async function getViewedPages(tracking, settings) {
+  const focused = tracking.windows[tracking.focusedWindowId];
+  if (!focused) return [];
+  const focusedPage = { windowId: tracking.focusedWindowId, ...focused };
+  if (settings.windowMode !== 'visible') return [focusedPage];
   
-  try {
-    const { webtime_tracking } = await chrome.storage.local.get(['webtime_tracking']);
-    const tracking = webtime_tracking || { activeTabUrl: null, lastHeartbeat: null, isIdle: false };
-    
-    // Don't track if idle
-    if (tracking.isIdle) {
-      tracking.lastHeartbeat = now;
-      await chrome.storage.local.set({ webtime_tracking: tracking });
-      return;
-    }
-    
-    // Don't track if no active URL
-    if (!tracking.activeTabUrl) {
-      tracking.lastHeartbeat = now;
-      await chrome.storage.local.set({ webtime_tracking: tracking });
-      return;
+  const windows = await chrome.windows.getAll();
+  const visible = windows
+    .filter(win => win.state !== 'minimized' && win.id !== tracking.focusedWindowId && tracking.windows[win.id])
+    .map(win => ({ windowId: win.id, ...tracking.windows[win.id] }));
+  return [focusedPage, ...visible];
+}
+
+// Credit the time since the last heartbeat to the pages being viewed, then restart the clock
+// Called by the heartbeat and before every change of tab, URL, title, focus or idle state,
+// so short visits are attributed to the page they were spent on. Returns the credited domains.
+// While idle or unfocused, playing media is credited as passive time instead (if enabled).
+// Nothing is credited while paused or outside the tracking schedule.
+async function creditElapsed(tx, tracking, now, settings) {
+  let lastHeartbeat = tracking.lastHeartbeat;
+  tracking.lastHeartbeat = now;
+  if (tracking.pausedUntil && tracking.pausedUntil <= now) {
+    // Only the part after the pause ended counts
+    if (lastHeartbeat) lastHeartbeat = Math.max(lastHeartbeat, tracking.pausedUntil);
+    tracking.pausedUntil = null;
+  }
+  tx.set(TRACKING_KEY, tracking);
+  
+  // Only record time if the gap is reasonable (system wasn't asleep)
+  // If the gap is longer than 1.5 heartbeats, we assume system was asleep and discard the time
+  if (!lastHeartbeat || !isTrackingActive(tracking, settings, now)) return [];
+  const gap = now - lastHeartbeat;
+  if (gap > getMaxValidGap(settings) || gap <= 0) return [];
+  
+  // The gap goes to the day and hour each part of it fell in
+  const pieces = splitInterval(lastHeartbeat, now);
+  
+  if (tracking.isIdle || tracking.focusedWindowId === chrome.windows.WINDOW_ID_NONE) {
+    if (settings.trackPassive) {
+      await creditPassive(tx, tracking, pieces, settings);
     }
+    return [];
+  }
+  
+  // A domain open in several visible windows is counted once
+  const credited = [];
+  for (const page of await getViewedPages(tracking, settings)) {
+    const domain = getDomain(page.url);
+    if (!shouldTrackDomain(domain, settings) || credited.includes(domain)) continue;
     
-    const domain = getDomain(tracking.activeTabUrl);
-    if (!shouldTrackDomain(domain)) {
-      tracking.lastHeartbeat = now;
-      await chrome.storage.local.set({ webtime_tracking: tracking });
-      return;
+    await recordTime(tx, domain, pieces, page.windowId);
+    if (settings.trackPaths || settings.trackTitles) {
+      await recordPageTime(tx, domain, page.url, page.title, pieces, settings);
     }
-    
-    // Calculate time since last heartbeat
-    if (tracking.lastHeartbeat) {
-      const gap = now - tracking.lastHeartbeat;
-      
-      // Only record time if the gap is reasonable (system wasn't asleep)
-      if (gap <= MAX_VALID_GAP_MS && gap >= 1000) {
-        await recordTime(domain, gap);
+    credited.push(domain);
+  }
+  
+  if (credited.length > 0) {
+    await creditFocusSession(tx, credited, lastHeartbeat, now);
+  }
+  return credited;
+}
+
+// Add active time to the running focus session - only the part before it was due to end
+async function creditFocusSession(tx, domains, start, end) {
+  const focus = await tx.get(FOCUS_KEY);
+  if (focus?.phase !== 'focus') return;
+  
+  const timeMs = Math.min(end, focus.endsAt) - Math.max(start, focus.start);
+  if (timeMs <= 0) return;
+  domains.forEach(domain => {
+    focus.sites[domain] = (focus.sites[domain] || 0) + timeMs;
+  });
+  tx.set(FOCUS_KEY, focus);
+}
+
+// Domains of tabs playing audio or showing picture-in-picture
+// Tabs that were closed since reporting picture-in-picture are dropped from tracking.pipTabs
+async function getMediaDomains(tracking, settings) {
+  const audibleTabs = await chrome.tabs.query({ audible: true });
+  const mediaTabs = audibleTabs.filter(tab => !tab.mutedInfo?.muted);
+  
+  if (settings.trackPictureInPicture) {
+    const pipTabs = [];
+    for (const tabId of tracking.pipTabs || []) {
+      try {
+        mediaTabs.push(await chrome.tabs.get(tabId));
+        pipTabs.push(tabId);
+      } catch {
+        // Tab no longer exists
       }
-      // If gap > MAX_VALID_GAP_MS, we assume system was asleep and discard the time
     }
+    tracking.pipTabs = pipTabs;
+  }
+  
+  const domains = mediaTabs.map(tab => getDomain(tab.url)).filter(domain => shouldTrackDomain(domain, settings));
+  return [...new Set(domains)];
+}
+
+// Credit passive time to every domain playing media - each counts once however many tabs it has
+async function creditPassive(tx, tracking, pieces, settings) {
+  for (const domain of await getMediaDomains(tracking, settings)) {
+    await recordPassiveTime(tx, domain, pieces);
+  }
+}
+
+// Heartbeat handler - called by chrome.alarms
+async function handleHeartbeat() {
+  try {
+    const settings = await getSettings();
     
-    // Update last heartbeat
-    tracking.lastHeartbeat = now;
-    await chrome.storage.local.set({ webtime_tracking: tracking });
+    // Read and update tracking state in one queued mutation so tab events can't interleave
+    const trackedDomains = await queueMutation(async (tx) => {
+      const tracking = await tx.get(TRACKING_KEY, createTrackingState());
+      return creditElapsed(tx, tracking, Date.now(), settings);
+    });
     
+    for (const domain of trackedDomains) {
+      await enforceBlocks(domain, settings);
+    }
+    await updateBadge();
   } catch (error) {
     console.error('Error in heartbeat:', error);
+    if (isQuotaError(error)) {
+      await freeStorage().catch(error => console.error('Error freeing storage:', error));
+    }
   }
 }
 
-// Record time for a domain
-async function recordTime(domain, timeMs) {
-  const todayKey = getTodayKey();
-  const now = new Date();
+// Get (creating if needed) the site summary and the day's entry for a domain
+// Both are written back, stamped as updated - the day record carries lastUpdated for tracked time
+async function getSiteRecords(tx, domain, dateKey) {
+  const siteKey = getSiteStorageKey(domain);
+  const site = await tx.get(siteKey, {
+    totalTime: 0,
+    visits: 0,
+    favicon: '',
+    firstVisit: Date.now()
+  });
+  const dayKey = getDayStorageKey(dateKey);
+  const day = await tx.get(dayKey, createEmptyDay());
+  
+  // Initialize daily stats if not exists
+  if (!day.sites[domain]) {
+    day.sites[domain] = {
+      time: 0,
+      visits: 0
+    };
+  }
+  day.updated = Date.now();
+  
+  tx.set(siteKey, site);
+  tx.set(dayKey, day);
+  return { site, day };
+}
+
+// Mark history as changed
+async function touchMeta(tx) {
+  const meta = await tx.get(META_KEY, { version: SCHEMA_VERSION });
+  meta.lastUpdated = Date.now();
+  tx.set(META_KEY, meta);
+}
+
+// Record time for a domain, spent in windowId - pieces come from splitInterval()
+async function recordTime(tx, domain, pieces, windowId) {
+  for (const piece of pieces) {
+    const timeMs = piece.end - piece.start;
+    const { site, day } = await getSiteRecords(tx, domain, piece.dateKey);
+    
+    // Update total time
+    site.totalTime += timeMs;
+    day.sites[domain].time += timeMs;
+    day.hours[piece.hour] = (day.hours[piece.hour] || 0) + timeMs;
+    
+    // Per-domain hour of day, for the site detail view
+    day.domainHours = day.domainHours || {};
+    const domainHours = day.domainHours[domain] = day.domainHours[domain] || {};
+    domainHours[piece.hour] = (domainHours[piece.hour] || 0) + timeMs;
+    
+    await appendSessionLog(tx, domain, piece, windowId);
+  }
+}
+
+// Add an interval to its day's session log
+// Time that carries straight on from the domain's last interval in the same window and hour
+// extends it instead, so the log holds sessions rather than one entry per heartbeat
+async function appendSessionLog(tx, domain, piece, windowId) {
+  const key = getLogStorageKey(piece.dateKey);
+  const log = await tx.get(key, []);
   
+  const last = log.findLast(entry => entry.domain === domain && entry.windowId === windowId);
+  if (last?.end === piece.start && new Date(last.start).getHours() === piece.hour) {
+    last.end = piece.end;
+  } else {
+    log.push({ start: piece.start, end: piece.end, domain, windowId });
+  }
+  tx.set(key, log);
+}
+
+// Record passive (background media) time for a domain - kept apart from active time
+async function recordPassiveTime(tx, domain, pieces) {
+  for (const piece of pieces) {
+    const timeMs = piece.end - piece.start;
+    const { site, day } = await getSiteRecords(tx, domain, piece.dateKey);
+    
+    site.passiveTime = (site.passiveTime || 0) + timeMs;
+    day.sites[domain].passive = (day.sites[domain].passive || 0) + timeMs;
+  }
+}
+
+// Get the first `depth` path segments of a URL, e.g. /owner/repo for depth 2
+function getPathPrefix(url, depth) {
   try {
-    const data = await chrome.storage.local.get(['webtime_data']);
-    const webTimeData = data.webtime_data || { sites: {}, dailyStats: {}, hourlyStats: {} };
+    const segments = new URL(url).pathname.split('/').filter(Boolean).slice(0, depth);
+    return `/${segments.join('/')}`;
+  } catch {
+    return '/';
+  }
+}
+
+// Record time per path prefix and per page title (opt-in)
+// Kept in separate webtime_paths_<date> keys so it can be turned off and wiped without touching history
+async function recordPageTime(tx, domain, url, title, pieces, settings) {
+  for (const piece of pieces) {
+    const timeMs = piece.end - piece.start;
+    const pathsKey = getPathsStorageKey(piece.dateKey);
+    const pathDay = await tx.get(pathsKey, {});
     
-    // Initialize site if not exists
-    if (!webTimeData.sites[domain]) {
-      webTimeData.sites[domain] = {
-        totalTime: 0,
-        visits: 0,
-        favicon: getFaviconUrl(domain),
-        firstVisit: Date.now()
-      };
+    if (!pathDay[domain]) {
+      pathDay[domain] = { paths: {}, titles: {} };
     }
+    const domainPages = pathDay[domain];
     
-    // Initialize daily stats if not exists
-    if (!webTimeData.dailyStats[todayKey]) {
-      webTimeData.dailyStats[todayKey] = {};
+    if (settings.trackPaths) {
+      const path = getPathPrefix(url, settings.pathDepth);
+      domainPages.paths[path] = (domainPages.paths[path] || 0) + timeMs;
     }
     
-    if (!webTimeData.dailyStats[todayKey][domain]) {
-      webTimeData.dailyStats[todayKey][domain] = {
-        time: 0,
-        visits: 0
-      };
+    if (settings.trackTitles && title) {
+      let key = title.trim().slice(0, MAX_TITLE_LENGTH);
+      if (!domainPages.titles[key] && Object.keys(domainPages.titles).length >= MAX_TITLES_PER_DOMAIN) {
+        key = OTHER_TITLES;
+      }
+      domainPages.titles[key] = (domainPages.titles[key] || 0) + timeMs;
     }
     
-    // Initialize hourly stats if not exists
-    if (!webTimeData.hourlyStats) {
-      webTimeData.hourlyStats = {};
-    }
+    tx.set(pathsKey, pathDay);
+  }
+}
+
+// Record visit for a domain
+async function recordVisit(domain) {
+  try {
+    const settings = await getSettings();
+    if (!shouldTrackDomain(domain, settings)) return;
     
-    if (!webTimeData.hourlyStats[todayKey]) {
-      webTimeData.hourlyStats[todayKey] = {};
+    await queueMutation(async (tx) => {
+      const tracking = await tx.get(TRACKING_KEY, createTrackingState());
+      if (!isTrackingActive(tracking, settings, Date.now())) return;
+      
+      const { site, day } = await getSiteRecords(tx, domain, getTodayKey());
+      
+      // Increment visits
+      site.visits++;
+      day.sites[domain].visits++;
+    });
+  } catch (error) {
+    console.error('Error recording visit:', error);
+  }
+}
+
+// Compact time for the badge, which fits about four characters: "45m", "2h05"
+function formatBadgeTime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Show today's time for the focused window's site (or in total) on the toolbar badge
+// The color turns orange, then red, as the site nears its tightest daily limit or category budget
+async function updateBadge() {
+  try {
+    const settings = await getSettings();
+    if (settings.badgeMode === 'off') {
+      await chrome.action.setBadgeText({ text: '' });
+      return;
     }
     
-    const currentHour = now.getHours();
-    if (!webTimeData.hourlyStats[todayKey][currentHour]) {
-      webTimeData.hourlyStats[todayKey][currentHour] = 0;
-    }
+    const { [TRACKING_KEY]: tracking } = await chrome.storage.local.get([TRACKING_KEY]);
+    const page = tracking?.windows?.[tracking.focusedWindowId];
+    const domain = page ? getDomain(page.url) : null;
+    const tracked = shouldTrackDomain(domain, settings);
+    const dayStats = (await loadDay(getTodayKey())).sites;
     
-    // Update total time
-    webTimeData.sites[domain].totalTime += timeMs;
-    webTimeData.dailyStats[todayKey][domain].time += timeMs;
-    webTimeData.hourlyStats[todayKey][currentHour] += timeMs;
-    webTimeData.lastUpdated = Date.now();
+    const budgets = (tracked ? getLimitsForDomain(domain, settings) : []).map(limit => ({
+      used: getLimitUsage(limit, dayStats, settings),
+      budget: limit.minutes * 60 * 1000
+    }));
+    const usedRatio = Math.max(0, ...budgets.map(({ used, budget }) => used / budget));
+    const remaining = Math.min(...budgets.map(({ used, budget }) => Math.max(0, budget - used)));
+    
+    let text = '';
+    if (settings.badgeMode === 'site' && tracked) {
+      // The whole site group, e.g. every google.com host when subdomains are grouped
+      text = formatBadgeTime(groupDayStats(dayStats, settings)[getSiteGroup(domain, settings)]?.time || 0);
+    } else if (settings.badgeMode === 'total') {
+      text = formatBadgeTime(Object.values(dayStats).reduce((sum, data) => sum + data.time, 0));
+    } else if (settings.badgeMode === 'remaining' && budgets.length > 0) {
+      text = formatBadgeTime(remaining);
+    }
     
-    await chrome.storage.local.set({ webtime_data: webTimeData });
+    const color = usedRatio >= 1 ? BADGE_COLORS.exceeded
+      : usedRatio >= BADGE_WARNING_RATIO ? BADGE_COLORS.warning
+      : BADGE_COLORS.normal;
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setBadgeBackgroundColor({ color });
   } catch (error) {
-    console.error('Error recording time:', error);
+    console.error('Error updating badge:', error);
   }
 }
 
-// Record visit for a domain
-async function recordVisit(domain) {
-  if (!shouldTrackDomain(domain)) return;
+// Send every window's active tab on a domain to the blocked page
+// With split windows more than one can be on the domain
+async function redirectActiveTabs(domain, params) {
+  const activeTabs = await chrome.tabs.query({ active: true });
+  for (const tab of activeTabs.filter(tab => getDomain(tab.url) === domain)) {
+    const query = new URLSearchParams({ domain, url: tab.url, ...params });
+    await chrome.tabs.update(tab.id, {
+      url: chrome.runtime.getURL(`${BLOCKED_PAGE}?${query}`)
+    });
+  }
+}
+
+// Focus sessions soft-block first, then daily limits apply
+async function enforceBlocks(domain, settings) {
+  if (!(await enforceFocus(domain, settings))) {
+    await enforceLimits(domain, settings);
+  }
+}
+
+// Redirect active tabs on a domain to the "time's up" page once a daily limit is used up
+async function enforceLimits(domain, settings) {
+  if (!domain) return;
+  const limits = getLimitsForDomain(domain, settings);
+  if (limits.length === 0) return;
   
-  const todayKey = getTodayKey();
+  try {
+    const overrides = await getLimitOverrides();
+    const override = overrides.domains[domain];
+    if (override && (override.unlocked || override.allowUntil > Date.now())) return;
+    
+    const dayStats = (await loadDay(getTodayKey())).sites;
+    const exceeded = limits.find(limit => getLimitUsage(limit, dayStats, settings) >= limit.minutes * 60 * 1000);
+    if (!exceeded) return;
+    
+    await redirectActiveTabs(domain, {
+      type: exceeded.type,
+      target: exceeded.target,
+      minutes: exceeded.minutes
+    });
+  } catch (error) {
+    console.error('Error enforcing limits:', error);
+  }
+}
+
+// Soft-block a distracting domain during a focus session - returns true when tabs were redirected
+async function enforceFocus(domain, settings) {
+  if (!domain) return false;
   
   try {
-    const data = await chrome.storage.local.get(['webtime_data']);
-    const webTimeData = data.webtime_data || { sites: {}, dailyStats: {} };
+    const focus = await loadFocusState();
+    if (focus?.phase !== 'focus' || !isFocusBlocked(domain, settings)) return false;
+    if (focus.allowed[domain] > Date.now()) return false;
     
-    // Initialize site if not exists
-    if (!webTimeData.sites[domain]) {
-      webTimeData.sites[domain] = {
-        totalTime: 0,
-        visits: 0,
-        favicon: getFaviconUrl(domain),
-        firstVisit: Date.now()
-      };
-    }
+    await redirectActiveTabs(domain, { type: 'focus' });
+    return true;
+  } catch (error) {
+    console.error('Error enforcing focus session:', error);
+    return false;
+  }
+}
+
+// Page context menu entries - they persist, so they're only created on install and update
+async function setupContextMenus() {
+  await chrome.contextMenus.removeAll();
+  [
+    ['never-track', "Don't track this site"],
+    ['set-limit', 'Set daily limit for this site…'],
+    ['show-time', 'Show time on this site']
+  ].forEach(([id, title]) => {
+    chrome.contextMenus.create({ id, title, contexts: ['page'], documentUrlPatterns: PAGE_URL_PATTERNS });
+  });
+}
+
+// The tab a shortcut applies to - the active tab of the last focused window
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab || null;
+}
+
+// Notify today's time on a site (its whole group, like the badge) and what is left of its limits
+async function showSiteTime(domain) {
+  const settings = await getSettings();
+  if (!shouldTrackDomain(domain, settings)) {
+    showNotification(domain || 'This page', "This page isn't tracked");
+    return;
+  }
+  
+  const dayStats = (await loadDay(getTodayKey())).sites;
+  const group = getSiteGroup(domain, settings);
+  const time = groupDayStats(dayStats, settings)[group]?.time || 0;
+  const limits = getLimitsForDomain(domain, settings).map(limit => {
+    const left = Math.max(0, limit.minutes * 60 * 1000 - getLimitUsage(limit, dayStats, settings));
+    return `${formatTime(left)} left of the ${limit.target} limit`;
+  });
+  showNotification(group, [`${formatTime(time)} today`, ...limits].join('\n'));
+}
+
+// Add an exact block rule for a site - its history is kept until deleted in the popup or settings
+async function neverTrackDomain(domain) {
+  const settings = await getSettings();
+  if (!settings.blockRules.some(rule => rule.type === 'exact' && rule.pattern === domain)) {
+    await saveSettings({ blockRules: [...settings.blockRules, { type: 'exact', pattern: domain }] });
+  }
+  showNotification(domain, "Won't be tracked any more. Its history can be deleted from the popup.");
+}
+
+// Pause tracking for PAUSE_SHORTCUT_MINUTES, or resume it when paused
+async function togglePause() {
+  const { [TRACKING_KEY]: tracking } = await chrome.storage.local.get([TRACKING_KEY]);
+  if (tracking?.pausedUntil > Date.now()) {
+    await pauseTracking(0);
+    showNotification('Tracking resumed', 'Time is being counted again.');
+    return;
+  }
+  
+  const pausedUntil = await pauseTracking(PAUSE_SHORTCUT_MINUTES);
+  const until = new Date(pausedUntil).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  showNotification('Tracking paused', `Until ${until} - press the shortcut again to resume.`);
+}
+
+// Show a system notification - one with an ID replaces the previous one with the same ID
+function showNotification(title, message, notificationId = '') {
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title,
+    message
+  });
+}
+
+// Start a focus session: { minutes, breakMinutes }
+async function startFocusSession(minutes, breakMinutes) {
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_FOCUS_MINUTES) {
+    throw new Error(`Focus length must be 1-${MAX_FOCUS_MINUTES} minutes`);
+  }
+  if (!Number.isInteger(breakMinutes) || breakMinutes < 0 || breakMinutes > MAX_BREAK_MINUTES) {
+    throw new Error(`Break length must be 0-${MAX_BREAK_MINUTES} minutes`);
+  }
+  
+  const settings = await getSettings();
+  const now = Date.now();
+  const focus = await queueMutation(async (tx) => {
+    // Time before the session starts isn't part of it
+    await creditElapsed(tx, await tx.get(TRACKING_KEY, createTrackingState()), now, settings);
     
-    // Initialize daily stats if not exists
-    if (!webTimeData.dailyStats[todayKey]) {
-      webTimeData.dailyStats[todayKey] = {};
-    }
+    const focus = {
+      phase: 'focus',
+      id: String(now),
+      start: now,
+      endsAt: now + minutes * 60 * 1000,
+      plannedMinutes: minutes,
+      breakMinutes,
+      sites: {},
+      // { [domain]: timestamp } - soft-blocked sites the user chose to allow for a while
+      allowed: {}
+    };
+    tx.set(FOCUS_KEY, focus);
+    return focus;
+  });
+  
+  await chrome.alarms.clear(FOCUS_BREAK_ALARM);
+  chrome.alarms.create(FOCUS_END_ALARM, { when: focus.endsAt });
+  
+  // Distracting sites that are already open are soft-blocked straight away
+  const activeTabs = await chrome.tabs.query({ active: true });
+  for (const domain of new Set(activeTabs.map(tab => getDomain(tab.url)))) {
+    await enforceFocus(domain, settings);
+  }
+  return focus;
+}
+
+// End the running focus session, store it with the day it started and report where the time went
+// A completed session is followed by its break, if it has one
+// Sessions end at endsAt at the latest, so an alarm caught up late doesn't stretch them
+async function finishFocusSession(completed) {
+  const settings = await getSettings();
+  const now = Date.now();
+  const result = await queueMutation(async (tx) => {
+    // Credit the last few seconds before closing the session
+    await creditElapsed(tx, await tx.get(TRACKING_KEY, createTrackingState()), now, settings);
     
-    if (!webTimeData.dailyStats[todayKey][domain]) {
-      webTimeData.dailyStats[todayKey][domain] = {
-        time: 0,
-        visits: 0
-      };
-    }
+    const focus = await tx.get(FOCUS_KEY);
+    if (focus?.phase !== 'focus') return null;
     
-    // Increment visits
-    webTimeData.sites[domain].visits++;
-    webTimeData.dailyStats[todayKey][domain].visits++;
-    webTimeData.lastUpdated = Date.now();
+    const end = Math.min(now, focus.endsAt);
+    const session = {
+      id: focus.id,
+      start: focus.start,
+      end,
+      plannedMinutes: focus.plannedMinutes,
+      completed,
+      sites: focus.sites
+    };
+    const dayKey = getDayStorageKey(getDateKey(new Date(focus.start)));
+    const day = await tx.get(dayKey, createEmptyDay());
+    day.sessions = [...(day.sessions || []), session];
+    tx.set(dayKey, day);
+    await touchMeta(tx);
     
-    await chrome.storage.local.set({ webtime_data: webTimeData });
-  } catch (error) {
-    console.error('Error recording visit:', error);
+    // The break runs from when the session ended - one that is already over isn't started
+    const breakEndsAt = completed ? end + focus.breakMinutes * 60 * 1000 : 0;
+    if (breakEndsAt > now) {
+      tx.set(FOCUS_KEY, { phase: 'break', endsAt: breakEndsAt });
+    } else {
+      tx.remove(FOCUS_KEY);
+    }
+    return { session, breakEndsAt };
+  });
+  
+  await chrome.alarms.clear(FOCUS_END_ALARM);
+  if (!result) return null;
+  
+  const { session, breakEndsAt } = result;
+  const breakMinutes = Math.ceil(Math.max(0, breakEndsAt - now) / 60000);
+  if (breakMinutes > 0) {
+    chrome.alarms.create(FOCUS_BREAK_ALARM, { when: breakEndsAt });
   }
+  showNotification(
+    completed ? 'Focus session complete' : 'Focus session ended',
+    `${describeSession(session)}${breakMinutes > 0 ? `\nTake a ${breakMinutes} minute break.` : ''}`,
+    'focus-session'
+  );
+  return session;
 }
 
-// Update active tab URL in persistent storage
-async function setActiveTab(url) {
-  const { webtime_tracking } = await chrome.storage.local.get(['webtime_tracking']);
-  const tracking = webtime_tracking || { activeTabUrl: null, lastHeartbeat: null, isIdle: false };
+// End the break after a focus session
+async function finishBreak(notify) {
+  const ended = await queueMutation(async (tx) => {
+    const focus = await tx.get(FOCUS_KEY);
+    if (focus?.phase !== 'break') return false;
+    tx.remove(FOCUS_KEY);
+    return true;
+  });
   
-  tracking.activeTabUrl = url;
-  tracking.lastHeartbeat = Date.now(); // Reset heartbeat when changing tabs
+  await chrome.alarms.clear(FOCUS_BREAK_ALARM);
+  if (ended && notify) {
+    showNotification('Break is over', 'Start another focus session from the toolbar when you are ready.', 'focus-break');
+  }
+}
+
+// Stop whatever is running - an unfinished session is stored as not completed
+async function stopFocus() {
+  const focus = await loadFocusState();
+  if (focus?.phase === 'focus') {
+    await finishFocusSession(false);
+  } else if (focus?.phase === 'break') {
+    await finishBreak(false);
+  }
+}
+
+// Catch up on a session or break whose alarm was lost while the browser was closed
+async function resumeFocusState() {
+  const focus = await loadFocusState();
+  if (!focus) return;
   
-  await chrome.storage.local.set({ webtime_tracking: tracking });
+  const alarmName = focus.phase === 'focus' ? FOCUS_END_ALARM : FOCUS_BREAK_ALARM;
+  if (focus.endsAt <= Date.now()) {
+    await (focus.phase === 'focus' ? finishFocusSession(true) : finishBreak(false));
+  } else if (!(await chrome.alarms.get(alarmName))) {
+    chrome.alarms.create(alarmName, { when: focus.endsAt });
+  }
+}
+
+// Run a change to tracking state after crediting the time spent in the state it replaces
+async function updateTracking(change) {
+  const settings = await getSettings();
+  await queueMutation(async (tx) => {
+    const tracking = await tx.get(TRACKING_KEY, createTrackingState());
+    await creditElapsed(tx, tracking, Date.now(), settings);
+    change(tracking);
+  });
+}
+
+// Record a window's active tab
+function setWindowTab(windowId, tab) {
+  return updateTracking(tracking => {
+    tracking.windows[windowId] = { tabId: tab.id, url: tab.url || null, title: tab.title || null };
+  });
+}
+
+// Update the title of a window's active tab
+function setWindowTabTitle(windowId, tabId, title) {
+  return updateTracking(tracking => {
+    if (tracking.windows[windowId]?.tabId === tabId) {
+      tracking.windows[windowId].title = title;
+    }
+  });
+}
+
+// Forget a window's active tab - the whole window, or only if it is still tabId
+function removeWindowTab(windowId, tabId) {
+  return updateTracking(tracking => {
+    if (tabId === undefined || tracking.windows[windowId]?.tabId === tabId) {
+      delete tracking.windows[windowId];
+    }
+  });
+}
+
+// Record which window has focus (WINDOW_ID_NONE when the browser is in the background)
+function setFocusedWindow(windowId) {
+  return updateTracking(tracking => {
+    tracking.focusedWindowId = windowId;
+  });
 }
 
 // Update idle state in persistent storage
-async function setIdleState(idle) {
-  const { webtime_tracking } = await chrome.storage.local.get(['webtime_tracking']);
-  const tracking = webtime_tracking || { activeTabUrl: null, lastHeartbeat: null, isIdle: false };
+// Going idle credits time up to that moment; coming back only restarts the clock,
+// so idle time is never counted
+function setIdleState(idle) {
+  return updateTracking(tracking => {
+    tracking.isIdle = idle;
+  });
+}
+
+// Pause tracking for a number of minutes, or resume it (minutes 0)
+// Time up to now is credited first; the heartbeat picks up again once the pause is over
+async function pauseTracking(minutes) {
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_PAUSE_MINUTES) {
+    throw new Error(`Pause length must be 0-${MAX_PAUSE_MINUTES} minutes`);
+  }
+  
+  const pausedUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+  await updateTracking(tracking => {
+    tracking.pausedUntil = pausedUntil;
+  });
+  await updateBadge();
+  return pausedUntil;
+}
+
+// Rebuild per-window state from the browser - on startup the stored state may be stale
+async function captureWindows() {
+  const activeTabs = await chrome.tabs.query({ active: true });
+  const focusedWindow = await chrome.windows.getLastFocused().catch(() => null);
+  
+  await updateTracking(tracking => {
+    tracking.windows = Object.fromEntries(activeTabs.map(tab => [
+      tab.windowId,
+      { tabId: tab.id, url: tab.url || null, title: tab.title || null }
+    ]));
+    tracking.focusedWindowId = focusedWindow?.focused ? focusedWindow.id : chrome.windows.WINDOW_ID_NONE;
+  });
+}
+
+// Keep a tab's icon with its site when the browser hands it over as a data URL
+// Other icons are shown through the browser's favicon cache instead (see getFaviconUrl)
+async function cacheFavicon(tab) {
+  try {
+    const domain = getDomain(tab.url);
+    const favicon = tab.favIconUrl;
+    if (!domain || !favicon?.startsWith('data:image/') || favicon.length > MAX_FAVICON_LENGTH) return;
+    
+    await queueMutation(async (tx) => {
+      const siteKey = getSiteStorageKey(domain);
+      const site = await tx.get(siteKey);
+      if (!site || site.favicon === favicon) return;
+      site.favicon = favicon;
+      tx.set(siteKey, site);
+    });
+  } catch (error) {
+    console.error('Error caching favicon:', error);
+  }
+}
+
+// Record a visit, check limits and refresh the badge when a tab starts showing a URL
+async function handleNavigation(url) {
+  const domain = getDomain(url);
+  if (domain) {
+    await recordVisit(domain);
+    await enforceBlocks(domain, await getSettings());
+  }
+  await updateBadge();
+}
+
+// Check a deleteHistory request: the hosts to delete (none for every site) and an optional
+// inclusive date range
+function validateHistoryScope({ domains = [], startKey, endKey }) {
+  const isDateKey = key => /^\d{4}-\d{2}-\d{2}$/.test(key);
+  if (!Array.isArray(domains) || domains.some(domain => typeof domain !== 'string' || !domain)) {
+    throw new Error('Invalid domain');
+  }
+  if ((startKey && !isDateKey(startKey)) || (endKey && !isDateKey(endKey))) {
+    throw new Error('Invalid date');
+  }
+  if (startKey && endKey && startKey > endKey) {
+    throw new Error('Start date is after end date');
+  }
+  if (domains.length === 0 && !startKey && !endKey) {
+    throw new Error('Choose a site or a date range');
+  }
+  return { domains, startKey: startKey || null, endKey: endKey || null };
+}
+
+// Add every number in source to target, recursing into nested objects
+function addCounts(target, source) {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      target[key] = addCounts(target[key] || {}, value);
+    }
+  });
+  return target;
+}
+
+// Change a domain's time in a day's hourly totals by amount (negative to remove)
+// The change follows the hours the domain was used, or the whole day's pattern when the domain
+// has no hourly record. Returns the change applied to each hour.
+function adjustDayHours(day, domain, amount) {
+  const domainHours = day.domainHours?.[domain] || {};
+  const hasDomainHours = Object.values(domainHours).some(time => time > 0);
+  const pattern = hasDomainHours ? domainHours : day.hours;
+  const patternTotal = Object.values(pattern).reduce((sum, time) => sum + time, 0);
+  // Nothing to follow - put it at midday
+  const shares = patternTotal > 0
+    ? Object.entries(pattern).map(([hour, time]) => [hour, time / patternTotal])
+    : [['12', 1]];
+  
+  const applied = {};
+  shares.forEach(([hour, share]) => {
+    const change = Math.max(amount * share, -(day.hours[hour] || 0));
+    if (change === 0) return;
+    applied[hour] = change;
+    day.hours[hour] = (day.hours[hour] || 0) + change;
+  });
+  
+  if (hasDomainHours || amount > 0) {
+    day.domainHours = day.domainHours || {};
+    const hours = day.domainHours[domain] = day.domainHours[domain] || {};
+    Object.entries(applied).forEach(([hour, change]) => {
+      hours[hour] = Math.max((hours[hour] || 0) + change, 0);
+    });
+  }
+  return applied;
+}
+
+// Last day of a YYYY-MM month as a date key
+function getMonthEndKey(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return getDateKey(new Date(year, monthNumber, 0));
+}
+
+// Remove history in scope and subtract it from site totals
+// Monthly rollups can't be split, so a range only removes months it covers entirely.
+// Returns what was removed, in a shape restoreHistory() adds back.
+async function removeHistory(tx, { domains, startKey, endKey }) {
+  const inRange = key => (!startKey || key >= startKey) && (!endKey || key <= endKey);
+  const allSites = domains.length === 0;
+  const removed = { domains, days: {}, paths: {}, logs: {}, months: {}, sites: {}, time: 0 };
+  const totals = {};
+  const countSites = (siteStats) => Object.entries(siteStats).forEach(([name, stats]) => {
+    addCounts(totals[name] = totals[name] || {}, { totalTime: stats.time || 0, visits: stats.visits || 0, passiveTime: stats.passive || 0 });
+    removed.time += stats.time || 0;
+  });
+  
+  for (const key of await tx.keys(DAY_KEY_PREFIX)) {
+    const dateKey = key.slice(DAY_KEY_PREFIX.length);
+    if (!inRange(dateKey)) continue;
+    const day = await tx.get(key);
+    
+    if (allSites) {
+      removed.days[dateKey] = day;
+      countSites(day.sites);
+      tx.remove(key);
+      continue;
+    }
+    
+    const removedDay = { sites: {}, hours: {} };
+    domains.forEach(domain => {
+      const stats = day.sites[domain];
+      if (!stats && !day.domainHours?.[domain]) return;
+      if (day.domainHours?.[domain]) {
+        removedDay.domainHours = { ...removedDay.domainHours, [domain]: { ...day.domainHours[domain] } };
+      }
+      const hours = adjustDayHours(day, domain, -(stats?.time || 0));
+      Object.entries(hours).forEach(([hour, change]) => {
+        removedDay.hours[hour] = (removedDay.hours[hour] || 0) - change;
+      });
+      if (stats) {
+        removedDay.sites[domain] = stats;
+      }
+      delete day.sites[domain];
+      delete day.domainHours?.[domain];
+    });
+    if (Object.keys(removedDay.sites).length === 0 && !removedDay.domainHours) continue;
+    removed.days[dateKey] = removedDay;
+    countSites(removedDay.sites);
+    tx.set(key, day);
+  }
+  
+  for (const key of await tx.keys(PATHS_KEY_PREFIX)) {
+    const dateKey = key.slice(PATHS_KEY_PREFIX.length);
+    if (!inRange(dateKey)) continue;
+    const pathDay = await tx.get(key);
+    if (allSites) {
+      removed.paths[dateKey] = pathDay;
+      tx.remove(key);
+      continue;
+    }
+    const removedPaths = {};
+    domains.filter(domain => pathDay[domain]).forEach(domain => {
+      removedPaths[domain] = pathDay[domain];
+      delete pathDay[domain];
+    });
+    if (Object.keys(removedPaths).length > 0) {
+      removed.paths[dateKey] = removedPaths;
+      tx.set(key, pathDay);
+    }
+  }
+  
+  for (const key of await tx.keys(LOG_KEY_PREFIX)) {
+    const dateKey = key.slice(LOG_KEY_PREFIX.length);
+    if (!inRange(dateKey)) continue;
+    const log = await tx.get(key);
+    const removedLog = allSites ? log : log.filter(entry => domains.includes(entry.domain));
+    if (removedLog.length === 0) continue;
+    removed.logs[dateKey] = removedLog;
+    if (allSites) {
+      tx.remove(key);
+    } else {
+      tx.set(key, log.filter(entry => !domains.includes(entry.domain)));
+    }
+  }
+  
+  const monthly = await tx.get(MONTHLY_KEY, {});
+  Object.entries(monthly).forEach(([month, monthData]) => {
+    if (!inRange(`${month}-01`) || !inRange(getMonthEndKey(month))) return;
+    if (allSites) {
+      removed.months[month] = monthData;
+      countSites(monthData.sites);
+      delete monthly[month];
+      return;
+    }
+    const removedMonth = { sites: {}, hours: {} };
+    domains.filter(domain => monthData.sites[domain]).forEach(domain => {
+      const stats = monthData.sites[domain];
+      // Monthly hours aren't broken down by domain - take the domain's share of each hour
+      const monthTotal = Object.values(monthData.sites).reduce((sum, site) => sum + site.time, 0);
+      const share = monthTotal > 0 ? stats.time / monthTotal : 0;
+      Object.entries(monthData.hours).forEach(([hour, time]) => {
+        removedMonth.hours[hour] = (removedMonth.hours[hour] || 0) + time * share;
+        monthData.hours[hour] = time - time * share;
+      });
+      removedMonth.sites[domain] = stats;
+      delete monthData.sites[domain];
+    });
+    if (Object.keys(removedMonth.sites).length > 0) {
+      removed.months[month] = removedMonth;
+      countSites(removedMonth.sites);
+    }
+  });
+  tx.set(MONTHLY_KEY, monthly);
+  
+  // Subtract from site totals; a site with nothing left (or deleted outright) is dropped
+  const deleteEverywhere = !allSites && !startKey && !endKey;
+  for (const [name, counts] of Object.entries(totals)) {
+    const siteKey = getSiteStorageKey(name);
+    const site = await tx.get(siteKey);
+    if (!site) continue;
+    const emptied = site.totalTime - counts.totalTime <= 0 && (site.passiveTime || 0) - counts.passiveTime <= 0;
+    if (deleteEverywhere || emptied) {
+      removed.sites[name] = site;
+      tx.remove(siteKey);
+      continue;
+    }
+    removed.sites[name] = { ...counts, favicon: site.favicon, firstVisit: site.firstVisit };
+    site.totalTime -= counts.totalTime;
+    site.visits = Math.max(site.visits - counts.visits, 0);
+    if (site.passiveTime) {
+      site.passiveTime = Math.max(site.passiveTime - counts.passiveTime, 0);
+    }
+    tx.set(siteKey, site);
+  }
+  // A domain deleted everywhere goes even if no day still mentioned it
+  if (deleteEverywhere) {
+    for (const domain of domains) {
+      const siteKey = getSiteStorageKey(domain);
+      const site = await tx.get(siteKey);
+      if (!site) continue;
+      removed.sites[domain] = site;
+      tx.remove(siteKey);
+    }
+  }
+  
+  return removed;
+}
+
+// Add removed history back on top of whatever was recorded since
+async function restoreHistory(tx, removed) {
+  for (const [dateKey, removedDay] of Object.entries(removed.days)) {
+    const key = getDayStorageKey(dateKey);
+    const day = await tx.get(key, createEmptyDay());
+    addCounts(day.sites, removedDay.sites);
+    addCounts(day.hours, removedDay.hours);
+    if (removedDay.domainHours) {
+      day.domainHours = addCounts(day.domainHours || {}, removedDay.domainHours);
+    }
+    if (removedDay.sessions) {
+      const ids = new Set((day.sessions || []).map(session => session.id));
+      day.sessions = [...(day.sessions || []), ...removedDay.sessions.filter(session => !ids.has(session.id))];
+    }
+    tx.set(key, day);
+  }
+  
+  for (const [dateKey, removedPaths] of Object.entries(removed.paths)) {
+    const key = getPathsStorageKey(dateKey);
+    tx.set(key, addCounts(await tx.get(key, {}), removedPaths));
+  }
+  
+  for (const [dateKey, removedLog] of Object.entries(removed.logs || {})) {
+    const key = getLogStorageKey(dateKey);
+    tx.set(key, [...(await tx.get(key, [])), ...removedLog].sort((a, b) => a.start - b.start));
+  }
   
-  tracking.isIdle = idle;
-  if (!idle) {
-    // Reset heartbeat when becoming active to avoid counting sleep time
-    tracking.lastHeartbeat = Date.now();
+  const monthly = await tx.get(MONTHLY_KEY, {});
+  Object.entries(removed.months).forEach(([month, monthData]) => {
+    const target = monthly[month] = monthly[month] || { sites: {}, hours: {}, days: 0 };
+    addCounts(target.sites, monthData.sites);
+    addCounts(target.hours, monthData.hours);
+    target.days = Math.max(target.days, monthData.days || 0);
+  });
+  tx.set(MONTHLY_KEY, monthly);
+  
+  for (const [name, removedSite] of Object.entries(removed.sites)) {
+    const siteKey = getSiteStorageKey(name);
+    const site = await tx.get(siteKey, { totalTime: 0, visits: 0, favicon: removedSite.favicon, firstVisit: removedSite.firstVisit });
+    site.totalTime += removedSite.totalTime;
+    site.visits += removedSite.visits;
+    if (removedSite.passiveTime) {
+      site.passiveTime = (site.passiveTime || 0) + removedSite.passiveTime;
+    }
+    site.firstVisit = Math.min(site.firstVisit, removedSite.firstVisit || site.firstVisit);
+    tx.set(siteKey, site);
+  }
+}
+
+// Set a domain's active time for a day, keeping hourly and site totals in step
+// The session log is left as recorded, so the day no longer adds up from it
+// Days past retention are already rolled into monthly stats and can't be edited
+async function editDayTime(tx, dateKey, domain, time, settings) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || dateKey > getTodayKey()) {
+    throw new Error('Invalid date');
+  }
+  const cutoffKey = getRetentionCutoffKey(settings.retentionDays);
+  const storageStatus = await tx.get(STORAGE_STATUS_KEY, {});
+  if ((cutoffKey && dateKey < cutoffKey) || (storageStatus.prunedBefore && dateKey < storageStatus.prunedBefore)) {
+    throw new Error("Days already rolled into monthly totals can't be edited");
   }
+  if (typeof domain !== 'string' || !domain) {
+    throw new Error('Invalid domain');
+  }
+  if (!Number.isFinite(time) || time < 0 || time > MAX_DAY_MS) {
+    throw new Error('Time must be between 0 and 24 hours');
+  }
+  
+  const key = getDayStorageKey(dateKey);
+  const day = await tx.get(key, createEmptyDay());
+  const stats = day.sites[domain] || { time: 0, visits: 0 };
+  const change = time - stats.time;
+  if (change === 0) return;
+  
+  adjustDayHours(day, domain, change);
+  stats.time = time;
+  day.sites[domain] = stats;
+  tx.set(key, day);
+  
+  const siteKey = getSiteStorageKey(domain);
+  const site = await tx.get(siteKey, {
+    totalTime: 0,
+    visits: 0,
+    favicon: '',
+    firstVisit: parseDateKey(dateKey).getTime()
+  });
+  site.totalTime = Math.max(site.totalTime + change, 0);
+  tx.set(siteKey, site);
+  await touchMeta(tx);
+}
+
+// Storage actions requested by extension pages - run through the write queue
+const MESSAGE_HANDLERS = {
+  // Replace all history (import) or reset it (clear)
+  replaceData: ({ data }) => queueMutation(async (tx) => {
+    await writeWebTimeData(tx, { ...(data || createEmptyWebTimeData()), lastUpdated: Date.now() });
+    // An older deletion must not be restored on top of the new data
+    tx.remove(UNDO_KEY);
+    // Nor does an earlier roll-up to free space describe it
+    tx.remove(STORAGE_STATUS_KEY);
+    // The session log recorded the history being replaced
+    await writeLogData(tx, {});
+    if (!data) {
+      await writePathData(tx, {});
+    }
+  }),
+  
+  // Merge an imported backup into current history
+  mergeData: ({ data }) => queueMutation(async (tx) => {
+    await writeWebTimeData(tx, mergeWebTimeData(await readWebTimeData(tx), data));
+  }),
+  
+  // Remove sites, a date range or sites within a range; undoable for UNDO_WINDOW_MS
+  deleteHistory: ({ domains, startKey, endKey }) => queueMutation(async (tx) => {
+    const scope = validateHistoryScope({ domains, startKey, endKey });
+    const removed = await removeHistory(tx, scope);
+    const expiresAt = Date.now() + UNDO_WINDOW_MS;
+    tx.set(UNDO_KEY, { ...removed, expiresAt });
+    await touchMeta(tx);
+    return { time: removed.time, expiresAt };
+  }),
+  
+  // Put back what the last deleteHistory removed, if still within the undo window
+  undoDelete: () => queueMutation(async (tx) => {
+    const undo = await tx.get(UNDO_KEY, null);
+    tx.remove(UNDO_KEY);
+    if (!undo || undo.expiresAt < Date.now()) return false;
+    await restoreHistory(tx, undo);
+    await touchMeta(tx);
+    return true;
+  }),
+  
+  // Sync now instead of waiting for the alarm
+  syncNow: () => runSync(),
+  
+  // Drop what other devices shared; it comes back on the next sync if they still share it
+  forgetDevices: () => queueMutation(async (tx) => {
+    tx.remove(DEVICES_KEY);
+  }),
+  
+  // Correct a domain's active time for one day
+  editDay: async ({ dateKey, domain, time }) => {
+    const settings = await getSettings();
+    return queueMutation(tx => editDayTime(tx, dateKey, domain, time, settings));
+  },
+  
+  // Remove all page details
+  clearPageDetails: () => queueMutation(tx => writePathData(tx, {})),
+  
+  // Focus sessions, started and stopped from the popup and the blocked page
+  startFocus: ({ minutes, breakMinutes }) => startFocusSession(minutes, breakMinutes),
+  stopFocus: () => stopFocus(),
+  
+  // Pause tracking from the popup for { minutes } (0 resumes)
+  pauseTracking: ({ minutes }) => pauseTracking(minutes),
+  
+  // Let a soft-blocked site through for a few minutes of the running session
+  allowDuringFocus: ({ domain }) => queueMutation(async (tx) => {
+    const focus = await tx.get(FOCUS_KEY);
+    if (focus?.phase !== 'focus') return;
+    
+    focus.allowed[domain] = Date.now() + FOCUS_ALLOW_MINUTES * 60 * 1000;
+    tx.set(FOCUS_KEY, focus);
+  }),
+  
+  // A tab entered or left picture-in-picture (sent by pip.js)
+  pictureInPicture: ({ active }, sender) => queueMutation(async (tx) => {
+    const tabId = sender.tab?.id;
+    if (tabId === undefined) return;
+    
+    const tracking = await tx.get(TRACKING_KEY, createTrackingState());
+    const pipTabs = (tracking.pipTabs || []).filter(id => id !== tabId);
+    tracking.pipTabs = active ? [...pipTabs, tabId] : pipTabs;
+    tx.set(TRACKING_KEY, tracking);
+  })
+};
+
+// The only actions content scripts may send - everything else must come from an extension page
+const CONTENT_SCRIPT_ACTIONS = ['pictureInPicture'];
+
+// Handle messages from extension pages and content scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = MESSAGE_HANDLERS[message?.action];
+  if (!handler || sender.id !== chrome.runtime.id) return false;
+  
+  const fromExtensionPage = sender.url?.startsWith(chrome.runtime.getURL(''));
+  if (!fromExtensionPage && !CONTENT_SCRIPT_ACTIONS.includes(message.action)) return false;
+  
+  handler(message, sender)
+    .then(result => sendResponse({ result }))
+    .catch(error => {
+      console.error(`Error handling ${message.action}:`, error);
+      sendResponse({ error: error.message });
+    });
+  return true; // Respond asynchronously
+});
+
+// Requests from other extensions the user approved in settings (externalApps)
+// Each returns part of webtime_data; nothing here can change history
+const EXTERNAL_HANDLERS = {
+  // Days in { startKey, endKey } (inclusive): { startKey, endKey, dailyStats, hourlyStats, domainHourlyStats }
+  getDailyStats: async ({ startKey, endKey }) => {
+    const isDateKey = key => typeof key === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(key);
+    if (!isDateKey(startKey) || !isDateKey(endKey) || startKey > endKey) {
+      throw new Error('Invalid date range');
+    }
+    if (Math.round((parseDateKey(endKey) - parseDateKey(startKey)) / MAX_DAY_MS) >= MAX_EXTERNAL_RANGE_DAYS) {
+      throw new Error(`Date range is limited to ${MAX_EXTERNAL_RANGE_DAYS} days`);
+    }
+    
+    const keys = getDateKeysInRange(startKey, endKey);
+    const data = await loadWebTimeData();
+    const result = { startKey, endKey, dailyStats: {}, hourlyStats: {}, domainHourlyStats: {} };
+    keys.forEach(key => {
+      ['dailyStats', 'hourlyStats', 'domainHourlyStats'].forEach(field => {
+        if (data[field][key]) result[field][key] = data[field][key];
+      });
+    });
+    return result;
+  },
+  
+  // One host's totals and every recorded day of it
+  getSiteSummary: async ({ domain }) => {
+    if (typeof domain !== 'string' || !domain) {
+      throw new Error('Invalid domain');
+    }
+    const [data, settings] = await Promise.all([loadWebTimeData(), getSettings()]);
+    const site = data.sites[domain];
+    if (!site) return null;
+    
+    const dailyStats = {};
+    Object.entries(data.dailyStats).forEach(([key, dayStats]) => {
+      if (dayStats[domain]) dailyStats[key] = dayStats[domain];
+    });
+    return {
+      domain,
+      group: getSiteGroup(domain, settings),
+      category: getCategory(domain, settings),
+      totalTime: site.totalTime,
+      visits: site.visits,
+      passiveTime: site.passiveTime || 0,
+      firstVisit: site.firstVisit,
+      dailyStats
+    };
+  },
+  
+  // What is being tracked right now - the focused site's host only, never its URL or title
+  getCurrentActivity: async () => {
+    const settings = await getSettings();
+    const { [TRACKING_KEY]: tracking } = await chrome.storage.local.get([TRACKING_KEY]);
+    const state = tracking || createTrackingState();
+    const page = state.windows[state.focusedWindowId];
+    const domain = page ? getDomain(page.url) : null;
+    const tracked = shouldTrackDomain(domain, settings);
+    const focus = await loadFocusState();
+    const now = Date.now();
+    
+    return {
+      domain: tracked ? domain : null,
+      todayTime: tracked ? (await loadDay(getTodayKey())).sites[domain]?.time || 0 : 0,
+      browserFocused: Boolean(page),
+      idle: state.isIdle,
+      tracking: isTrackingActive(state, settings, now),
+      pausedUntil: state.pausedUntil > now ? state.pausedUntil : null,
+      focusSession: focus ? { phase: focus.phase, endsAt: focus.endsAt } : null
+    };
+  },
+  
+  // Pause tracking for { minutes }, 0 resumes: { pausedUntil }
+  pauseTracking: async ({ minutes }) => ({ pausedUntil: await pauseTracking(minutes) })
+};
+
+// Handle messages from other extensions - only those in settings.externalApps get an answer
+// with data; every response is { apiVersion, result } or { apiVersion, error }
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  const respond = async () => {
+    const settings = await getSettings();
+    if (!Object.hasOwn(settings.externalApps, sender.id)) {
+      throw new Error('Not allowed - add this extension in Quipu Pacha settings');
+    }
+    const handler = Object.hasOwn(EXTERNAL_HANDLERS, message?.action) ? EXTERNAL_HANDLERS[message.action] : null;
+    if (!handler) {
+      throw new Error(`Unknown action - expected one of ${Object.keys(EXTERNAL_HANDLERS).join(', ')}`);
+    }
+    return handler(message);
+  };
   
-  await chrome.storage.local.set({ webtime_tracking: tracking });
+  respond()
+    .then(result => sendResponse({ apiVersion: EXTERNAL_API_VERSION, result }))
+    .catch(error => {
+      console.error(`Error handling external ${message?.action} from ${sender.id}:`, error);
+      sendResponse({ apiVersion: EXTERNAL_API_VERSION, error: error.message });
+    });
+  return true; // Respond asynchronously
+});
+
+// Register the picture-in-picture content script only while it is enabled and host access is granted
+async function syncPictureInPictureScript(settings) {
+  try {
+    const wanted = settings.trackPassive && settings.trackPictureInPicture &&
+      await chrome.permissions.contains({ origins: PIP_ORIGINS });
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [PIP_SCRIPT_ID] });
+    
+    if (wanted && registered.length === 0) {
+      await chrome.scripting.registerContentScripts([{
+        id: PIP_SCRIPT_ID,
+        js: ['pip.js'],
+        matches: PIP_ORIGINS,
+        allFrames: true,
+        persistAcrossSessions: true
+      }]);
+    } else if (!wanted && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [PIP_SCRIPT_ID] });
+    }
+  } catch (error) {
+    console.error('Error updating picture-in-picture script:', error);
+  }
 }
 
+// Follow settings and host permission changes
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName === 'local' && changes[SETTINGS_KEY]) {
+    const settings = await getSettings();
+    await syncPictureInPictureScript(settings);
+    await setupDigestAlarm(settings);
+    await setupHeartbeatAlarm(settings);
+    chrome.idle.setDetectionInterval(settings.idleSeconds);
+    await updateBadge();
+    
+    const previousMode = changes[SETTINGS_KEY].oldValue?.syncMode || DEFAULT_SETTINGS.syncMode;
+    if (settings.syncMode !== previousMode) {
+      await setupSyncAlarm(settings);
+      // Leaving Chrome sync takes this device's totals out of it
+      if (previousMode === 'storage') {
+        await clearStorageSync((await getDeviceInfo()).id).catch(error => console.error('Error clearing sync storage:', error));
+      }
+      await runSync();
+    }
+  }
+});
+
+chrome.permissions.onRemoved.addListener(async () => {
+  await syncPictureInPictureScript(await getSettings());
+});
+
+// Forget closed tabs that were in picture-in-picture
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await queueMutation(async (tx) => {
+    const tracking = await tx.get(TRACKING_KEY);
+    if (!tracking?.pipTabs?.includes(tabId)) return;
+    
+    tracking.pipTabs = tracking.pipTabs.filter(id => id !== tabId);
+    tx.set(TRACKING_KEY, tracking);
+  });
+});
+
 // Handle alarm events
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'heartbeat') {
     handleHeartbeat();
+  } else if (alarm.name === 'maintenance') {
+    runMaintenance();
+  } else if (alarm.name === DIGEST_ALARM) {
+    sendWeeklyDigest();
+  } else if (alarm.name === FOCUS_END_ALARM) {
+    finishFocusSession(true).catch(error => console.error('Error finishing focus session:', error));
+  } else if (alarm.name === FOCUS_BREAK_ALARM) {
+    finishBreak(true).catch(error => console.error('Error finishing break:', error));
+  } else if (alarm.name === SYNC_ALARM) {
+    runSync();
   }
 });
 
-// Handle tab activation
-chrome.tabs.onActivated.addListener(async (activeInfo) => {
+// Focus session and digest notifications open the dashboard
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const page = NOTIFICATION_PAGES[notificationId];
+  if (page) {
+    chrome.tabs.create({ url: chrome.runtime.getURL(page) });
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+// Keyboard shortcuts (the popup's own shortcut is handled by the browser)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    if (command === 'toggle-pause') {
+      await togglePause();
+    } else if (command === 'show-site-time') {
+      const activeTab = tab || await getActiveTab();
+      await showSiteTime(getDomain(activeTab?.url));
+    }
+  } catch (error) {
+    console.error(`Error running shortcut ${command}:`, error);
+  }
+});
+
+// Page context menu - acts on the page's host
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const domain = getDomain(info.pageUrl || tab?.url);
+  if (!domain) return;
+  
   try {
-    const tab = await chrome.tabs.get(activeInfo.tabId);
-    if (tab.url) {
-      await setActiveTab(tab.url);
-      const domain = getDomain(tab.url);
-      await recordVisit(domain);
+    if (info.menuItemId === 'never-track') {
+      await neverTrackDomain(domain);
+    } else if (info.menuItemId === 'set-limit') {
+      // The options page opens with the limit form filled in
+      await chrome.tabs.create({ url: chrome.runtime.getURL(`options.html?limit=${encodeURIComponent(domain)}#daily-limits`) });
+    } else if (info.menuItemId === 'show-time') {
+      await showSiteTime(domain);
     }
+  } catch (error) {
+    console.error(`Error running menu item ${info.menuItemId}:`, error);
+  }
+});
+
+// Handle tab activation
+chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    await setWindowTab(windowId, tab);
+    await handleNavigation(tab.url);
+    await cacheFavicon(tab);
   } catch (error) {
     console.error('Error on tab activation:', error);
   }
 });
 
-// Handle tab URL updates
+// Handle URL and title updates of any window's active tab, and icon changes of any tab
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  // Check if this is the active tab
+  if (changeInfo.favIconUrl) {
+    await cacheFavicon(tab);
+  }
+  if (!tab.active) return;
+  
   try {
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (activeTab && tabId === activeTab.id && changeInfo.url) {
-      await setActiveTab(changeInfo.url);
-      const domain = getDomain(changeInfo.url);
-      await recordVisit(domain);
+    if (changeInfo.url) {
+      await setWindowTab(tab.windowId, tab);
+      await handleNavigation(changeInfo.url);
+    } else if (changeInfo.title) {
+      await setWindowTabTitle(tab.windowId, tabId, changeInfo.title);
     }
   } catch (error) {
     console.error('Error on tab update:', error);
   }
 });
 
+// A tab dragged out of a window stops being that window's active tab
+chrome.tabs.onDetached.addListener(async (tabId, { oldWindowId }) => {
+  try {
+    await removeWindowTab(oldWindowId, tabId);
+  } catch (error) {
+    console.error('Error on tab detach:', error);
+  }
+});
+
+// A tab dropped into a window becomes its active tab if it is shown there
+chrome.tabs.onAttached.addListener(async (tabId, { newWindowId }) => {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.active) {
+      await setWindowTab(newWindowId, tab);
+    }
+  } catch (error) {
+    console.error('Error on tab attach:', error);
+  }
+});
+
 // Handle window focus changes
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
-  if (windowId === chrome.windows.WINDOW_ID_NONE) {
-    await setIdleState(true);
-  } else {
-    await setIdleState(false);
-    // Re-capture active tab when window regains focus
-    try {
-      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (activeTab && activeTab.url) {
-        await setActiveTab(activeTab.url);
+  try {
+    await setFocusedWindow(windowId);
+    
+    // Re-capture the active tab when a window gains focus, in case an event was missed
+    if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+      const [activeTab] = await chrome.tabs.query({ active: true, windowId });
+      if (activeTab) {
+        await setWindowTab(windowId, activeTab);
       }
-    } catch (error) {
-      console.error('Error getting active tab on focus:', error);
     }
+    await updateBadge();
+  } catch (error) {
+    console.error('Error on window focus change:', error);
+  }
+});
+
+// Handle closed windows
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  try {
+    await removeWindowTab(windowId);
+  } catch (error) {
+    console.error('Error on window close:', error);
   }
 });
 
 // Handle idle state
 chrome.idle.onStateChanged.addListener(async (state) => {
-  if (state === 'idle' || state === 'locked') {
-    await setIdleState(true);
-  } else if (state === 'active') {
-    await setIdleState(false);
-    // Re-capture active tab when becoming active
-    try {
-      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (activeTab && activeTab.url) {
-        await setActiveTab(activeTab.url);
-      }
-    } catch (error) {
-      console.error('Error getting active tab on active:', error);
-    }
+  try {
+    await setIdleState(state === 'idle' || state === 'locked');
+  } catch (error) {
+    console.error('Error on idle state change:', error);
   }
 });
 
-// Set idle detection interval (60 seconds)
-chrome.idle.setDetectionInterval(60);
-
 // Initialize on service worker startup
 (async () => {
   await initializeStorage();
-  setupHeartbeatAlarm();
+  await setupHeartbeatAlarm(await getSettings());
+  chrome.idle.setDetectionInterval((await getSettings()).idleSeconds);
+  await setupMaintenanceAlarm();
+  await syncPictureInPictureScript(await getSettings());
+  await setupDigestAlarm(await getSettings());
+  await setupSyncAlarm(await getSettings());
+  await getDeviceInfo();
   
-  // Capture current active tab
   try {
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (activeTab && activeTab.url) {
-      await setActiveTab(activeTab.url);
-    }
+    await resumeFocusState();
+  } catch (error) {
+    console.error('Error resuming focus session:', error);
+  }
+  
+  // Capture every window's active tab
+  try {
+    await captureWindows();
+    await updateBadge();
   } catch (error) {
-    console.error('Error initializing active tab:', error);
+    console.error('Error initializing active tabs:', error);
   }
 })();
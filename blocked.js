@@ -0,0 +1,147 @@
+// Quipu Pacha "Time's up" Page
+// Shown in place of a site once its daily limit is used up, or during a focus session
+// in place of a distracting site (type=focus)
+
+document.addEventListener('DOMContentLoaded', init);
+
+const SNOOZE_MINUTES = 10;
+const MAX_SNOOZES = 3;
+const GRACE_MINUTES = 1;
+
+const params = new URLSearchParams(location.search);
+const blockedDomain = params.get('domain') || '';
+const returnUrl = params.get('url') || '';
+
+async function init() {
+  document.getElementById('blocked-domain').textContent = blockedDomain;
+
+  if (params.get('type') === 'focus') {
+    await initFocusBlock();
+    return;
+  }
+
+  document.getElementById('snooze-btn').addEventListener('click', snooze);
+  document.getElementById('grace-btn').addEventListener('click', useGrace);
+  document.getElementById('unlock-btn').addEventListener('click', unlock);
+
+  await displayUsage();
+  await displayOverrideState();
+}
+
+// Soft-block during a focus session - the site can be allowed for a few minutes
+async function initFocusBlock() {
+  document.title = 'Stay focused';
+  document.getElementById('blocked-title').textContent = 'Stay focused';
+  document.getElementById('limit-actions').hidden = true;
+  document.getElementById('focus-actions').hidden = false;
+  document.getElementById('blocked-notice').textContent = 'Sites on your focus block list are paused during a session';
+
+  const allowBtn = document.getElementById('focus-allow-btn');
+  allowBtn.textContent = `Allow for ${FOCUS_ALLOW_MINUTES} minutes`;
+  allowBtn.addEventListener('click', async () => {
+    await sendBackgroundMessage({ action: 'allowDuringFocus', domain: blockedDomain });
+    returnToSite();
+  });
+
+  document.getElementById('focus-stop-btn').addEventListener('click', async () => {
+    await sendBackgroundMessage({ action: 'stopFocus' });
+    returnToSite();
+  });
+
+  try {
+    const focus = await loadFocusState();
+    const usage = document.getElementById('blocked-usage');
+    if (focus?.phase === 'focus') {
+      const left = Math.max(0, focus.endsAt - Date.now());
+      usage.textContent = `You're in a focus session - ${formatTime(left)} to go.`;
+    } else {
+      // The session ended while this page was open
+      usage.textContent = 'Your focus session has ended.';
+      allowBtn.hidden = true;
+      document.getElementById('focus-stop-btn').textContent = 'Back to site';
+    }
+  } catch (error) {
+    console.error('Error loading focus session:', error);
+  }
+}
+
+// Show how much of the limit has been used today
+async function displayUsage() {
+  const limit = {
+    type: params.get('type'),
+    target: params.get('target'),
+    minutes: Number(params.get('minutes'))
+  };
+
+  try {
+    const settings = await getSettings();
+    const dayStats = (await loadDay(getTodayKey())).sites;
+    const storedLimit = settings.limits.find(l => l.type === limit.type && l.target === limit.target) || limit;
+    const used = getLimitUsage(storedLimit, dayStats, settings);
+    const scope = limit.type === 'category' ? `${limit.target} sites` : limit.target;
+
+    document.getElementById('blocked-usage').textContent =
+      `You've spent ${formatTime(used)} on ${scope} today. Your daily limit is ${formatTime(limit.minutes * 60 * 1000)}.`;
+  } catch (error) {
+    console.error('Error loading usage:', error);
+  }
+}
+
+// Enable or disable the snooze and grace buttons based on today's overrides
+async function displayOverrideState() {
+  const overrides = await getLimitOverrides();
+  const override = overrides.domains[blockedDomain] || { snoozes: 0, graceUsed: false };
+
+  const snoozeBtn = document.getElementById('snooze-btn');
+  const snoozesLeft = MAX_SNOOZES - override.snoozes;
+  snoozeBtn.textContent = `Snooze ${SNOOZE_MINUTES} minutes (${snoozesLeft} left)`;
+  snoozeBtn.disabled = snoozesLeft <= 0;
+
+  const graceBtn = document.getElementById('grace-btn');
+  graceBtn.textContent = override.graceUsed ? 'Grace period used' : 'One more minute';
+  graceBtn.disabled = override.graceUsed;
+}
+
+// Allow the site again for a few minutes, a limited number of times per day
+async function snooze() {
+  const overrides = await getLimitOverrides();
+  const snoozes = overrides.domains[blockedDomain]?.snoozes || 0;
+  if (snoozes >= MAX_SNOOZES) return;
+
+  await saveLimitOverride(blockedDomain, {
+    allowUntil: Date.now() + SNOOZE_MINUTES * 60 * 1000,
+    snoozes: snoozes + 1
+  });
+  returnToSite();
+}
+
+// One-time grace period per site per day
+async function useGrace() {
+  await saveLimitOverride(blockedDomain, {
+    allowUntil: Date.now() + GRACE_MINUTES * 60 * 1000,
+    graceUsed: true
+  });
+  returnToSite();
+}
+
+// Lift the limit for the rest of the day
+async function unlock() {
+  if (confirm(`Unlock ${blockedDomain} for the rest of today?`)) {
+    await saveLimitOverride(blockedDomain, { unlocked: true });
+    returnToSite();
+  }
+}
+
+// Navigate back to the page that was blocked
+function returnToSite() {
+  try {
+    const parsed = new URL(returnUrl);
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+      location.href = returnUrl;
+      return;
+    }
+  } catch {
+    // Fall through to the site root
+  }
+  location.href = `https://${blockedDomain}`;
+}
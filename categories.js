@@ -0,0 +1,101 @@
+// Quipu Pacha default categories
+// Bundled mapping of well-known sites - users can override any of it in Settings
+
+// Weight decides how a category counts towards the productivity score
+const CATEGORY_WEIGHTS = ['productive', 'neutral', 'distracting'];
+
+const UNCATEGORIZED = 'Other';
+
+const DEFAULT_CATEGORIES = {
+  Work: { weight: 'productive', color: '#34C759' },
+  Dev: { weight: 'productive', color: '#30B0C7' },
+  Learning: { weight: 'productive', color: '#007AFF' },
+  News: { weight: 'neutral', color: '#AF52DE' },
+  Shopping: { weight: 'distracting', color: '#FF2D55' },
+  Social: { weight: 'distracting', color: '#FF9500' },
+  Entertainment: { weight: 'distracting', color: '#5856D6' },
+  Other: { weight: 'neutral', color: '#8E8E93' }
+};
+
+// Matched against the domain and each of its parent domains
+const DEFAULT_SITE_CATEGORIES = {
+  // Work
+  'docs.google.com': 'Work',
+  'drive.google.com': 'Work',
+  'mail.google.com': 'Work',
+  'calendar.google.com': 'Work',
+  'meet.google.com': 'Work',
+  'outlook.office.com': 'Work',
+  'office.com': 'Work',
+  'slack.com': 'Work',
+  'zoom.us': 'Work',
+  'teams.microsoft.com': 'Work',
+  'notion.so': 'Work',
+  'atlassian.net': 'Work',
+  'trello.com': 'Work',
+  'asana.com': 'Work',
+  'linear.app': 'Work',
+  'figma.com': 'Work',
+  // Dev
+  'github.com': 'Dev',
+  'gitlab.com': 'Dev',
+  'bitbucket.org': 'Dev',
+  'stackoverflow.com': 'Dev',
+  'stackexchange.com': 'Dev',
+  'developer.mozilla.org': 'Dev',
+  'npmjs.com': 'Dev',
+  'pypi.org': 'Dev',
+  'docs.python.org': 'Dev',
+  'learn.microsoft.com': 'Dev',
+  'vercel.com': 'Dev',
+  'netlify.com': 'Dev',
+  'codepen.io': 'Dev',
+  // Learning
+  'wikipedia.org': 'Learning',
+  'coursera.org': 'Learning',
+  'udemy.com': 'Learning',
+  'khanacademy.org': 'Learning',
+  'edx.org': 'Learning',
+  'duolingo.com': 'Learning',
+  'scholar.google.com': 'Learning',
+  'arxiv.org': 'Learning',
+  // News
+  'news.google.com': 'News',
+  'nytimes.com': 'News',
+  'theguardian.com': 'News',
+  'bbc.com': 'News',
+  'bbc.co.uk': 'News',
+  'cnn.com': 'News',
+  'reuters.com': 'News',
+  'apnews.com': 'News',
+  'washingtonpost.com': 'News',
+  'news.ycombinator.com': 'News',
+  // Shopping
+  'amazon.com': 'Shopping',
+  'ebay.com': 'Shopping',
+  'etsy.com': 'Shopping',
+  'aliexpress.com': 'Shopping',
+  // Social
+  'facebook.com': 'Social',
+  'instagram.com': 'Social',
+  'twitter.com': 'Social',
+  'x.com': 'Social',
+  'linkedin.com': 'Social',
+  'reddit.com': 'Social',
+  'tiktok.com': 'Social',
+  'pinterest.com': 'Social',
+  'threads.net': 'Social',
+  'bsky.app': 'Social',
+  'mastodon.social': 'Social',
+  'discord.com': 'Social',
+  'web.whatsapp.com': 'Social',
+  // Entertainment
+  'youtube.com': 'Entertainment',
+  'netflix.com': 'Entertainment',
+  'twitch.tv': 'Entertainment',
+  'spotify.com': 'Entertainment',
+  'hulu.com': 'Entertainment',
+  'disneyplus.com': 'Entertainment',
+  'primevideo.com': 'Entertainment',
+  'imdb.com': 'Entertainment'
+};
@@ -0,0 +1,999 @@
+// Quipu Pacha shared helpers
+// Loaded by the background service worker (importScripts) and by the extension pages
+
+const SETTINGS_KEY = 'webtime_settings';
+const LIMIT_OVERRIDES_KEY = 'webtime_limit_overrides';
+
+// Optional host access requested for the picture-in-picture content script (pip.js)
+const PIP_ORIGINS = ['http://*/*', 'https://*/*'];
+
+// Days of the session log (timeline) kept, whatever the history retention - it is the bulkiest
+// record and has no monthly form
+const LOG_RETENTION_DAYS = 30;
+
+// Bump when stored history changes shape or layout and add a step to MIGRATIONS
+const SCHEMA_VERSION = 4;
+
+// Default user settings - stored values are merged over these
+const DEFAULT_SETTINGS = {
+  // Tracking rules: { type: 'exact' | 'wildcard' | 'regex', pattern }
+  blockRules: [],
+  allowRules: [],
+  // When true, only domains matching an allow rule are tracked
+  allowlistOnly: false,
+  // 'focused' counts only the focused window's active tab; 'visible' counts the active tab
+  // of every window that isn't minimized (side-by-side windows), while the browser has focus
+  windowMode: 'focused',
+  // Daily budgets: { type: 'domain' | 'category', target, minutes }
+  limits: [],
+  // Daily goals: { type: 'domain' | 'category', target, comparison: 'max' | 'min', minutes }
+  goals: [],
+  // Weekly digest notification (Monday morning)
+  weeklyDigest: true,
+  // Toolbar badge: 'off' | 'site' (today on the active site) | 'total' (today overall)
+  // | 'remaining' (what is left of the active site's tightest limit)
+  badgeMode: 'site',
+  // Site grouping, applied when history is read - storage always keeps individual hosts
+  // groupSubdomains combines hosts under their registrable domain (mail.google.com -> google.com);
+  // siteGroups maps a host and its subdomains to a group: { [host]: groupName }, e.g. youtu.be -> youtube.com
+  groupSubdomains: false,
+  siteGroups: {},
+  // User assigned categories: { [domain]: categoryName } - override DEFAULT_SITE_CATEGORIES
+  siteCategories: {},
+  // Weight overrides per category: { [categoryName]: 'productive' | 'neutral' | 'distracting' }
+  categoryWeights: {},
+  // Opt-in page details, stored separately in webtime_paths_<date> keys
+  trackPaths: false,
+  pathDepth: 1,
+  trackTitles: false,
+  // Opt-in passive time: tabs playing audio (and picture-in-picture videos) keep being
+  // credited while the browser is unfocused or the machine is idle, as a separate total
+  trackPassive: false,
+  trackPictureInPicture: false,
+  // Focus sessions: default lengths in minutes, and what gets soft-blocked during one
+  focusMinutes: 25,
+  breakMinutes: 5,
+  focusBlockDistracting: true,
+  focusBlockRules: [],
+  // Seconds without input before the machine counts as idle (15 minimum, set by chrome.idle)
+  idleSeconds: 60,
+  // How often the running time is saved; longer gaps between saves are taken as sleep
+  heartbeatSeconds: 30,
+  // Tracking hours: when enabled, time only counts on scheduleDays (0 = Sunday) between
+  // scheduleStart and scheduleEnd ('HH:MM', local time; an end before the start runs past midnight)
+  scheduleEnabled: false,
+  scheduleDays: [1, 2, 3, 4, 5],
+  scheduleStart: '09:00',
+  scheduleEnd: '17:00',
+  // Days of daily/hourly detail to keep before rolling into monthlyStats (0 = forever)
+  retentionDays: 0,
+  // Other extensions allowed to read history through the external messaging API: { [extensionId]: name }
+  externalApps: {},
+  // Cross-device sync of daily totals: 'off' | 'storage' (chrome.storage.sync) | 'folder' (encrypted files)
+  syncMode: 'off'
+};
+
+// Load settings merged over defaults
+async function getSettings() {
+  const { webtime_settings } = await chrome.storage.local.get([SETTINGS_KEY]);
+  return { ...DEFAULT_SETTINGS, ...(webtime_settings || {}) };
+}
+
+// Persist a partial settings update
+async function saveSettings(changes) {
+  const settings = await getSettings();
+  await chrome.storage.local.set({ [SETTINGS_KEY]: { ...settings, ...changes } });
+}
+
+// Whether a moment falls within the tracking schedule (always, when it is off)
+// For an overnight schedule, the hours after midnight belong to the previous day
+function isWithinSchedule(date, settings) {
+  if (!settings.scheduleEnabled) return true;
+  
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const start = toMinutes(settings.scheduleStart);
+  const end = toMinutes(settings.scheduleEnd);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  
+  if (start < end) {
+    return settings.scheduleDays.includes(day) && minute >= start && minute < end;
+  }
+  return (settings.scheduleDays.includes(day) && minute >= start) ||
+    (settings.scheduleDays.includes((day + 6) % 7) && minute < end);
+}
+
+// Get the date key for a date (uses local timezone)
+function getDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Get today's date key (uses local timezone)
+function getTodayKey() {
+  return getDateKey(new Date());
+}
+
+// Parse a date key back into a local Date at midnight
+function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// Get every date key from start to end inclusive (oldest first)
+function getDateKeysInRange(startKey, endKey) {
+  const keys = [];
+  const date = parseDateKey(startKey);
+  const end = parseDateKey(endKey);
+  while (date <= end) {
+    keys.push(getDateKey(date));
+    date.setDate(date.getDate() + 1);
+  }
+  return keys;
+}
+
+// Format time in human readable format
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  
+  if (hours > 0) {
+    const remainingMinutes = minutes % 60;
+    return `${hours}h ${remainingMinutes}m`;
+  } else if (minutes > 0) {
+    return `${minutes}m`;
+  } else {
+    return `${seconds}s`;
+  }
+}
+
+// Build a rule from user input:
+//   /pattern/       -> regex
+//   *.example.com   -> wildcard
+//   example.com     -> exact
+function parseRule(input) {
+  const value = input.trim().toLowerCase();
+  if (!value) return null;
+
+  if (value.length > 2 && value.startsWith('/') && value.endsWith('/')) {
+    const pattern = input.trim().slice(1, -1);
+    try {
+      new RegExp(pattern);
+    } catch {
+      return null;
+    }
+    return { type: 'regex', pattern };
+  }
+
+  if (value.includes('*')) {
+    return { type: 'wildcard', pattern: value };
+  }
+
+  return { type: 'exact', pattern: value.replace(/^www\./, '') };
+}
+
+// Check a domain against a single rule
+function ruleMatches(rule, domain) {
+  if (!rule || !domain) return false;
+
+  switch (rule.type) {
+    case 'exact':
+      return domain === rule.pattern;
+    case 'wildcard': {
+      // '*' matches any run of characters; a leading '*.' also matches the bare domain
+      if (rule.pattern.startsWith('*.') && domain === rule.pattern.slice(2)) {
+        return true;
+      }
+      const source = rule.pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      return new RegExp(`^${source}$`).test(domain);
+    }
+    case 'regex':
+      try {
+        return new RegExp(rule.pattern, 'i').test(domain);
+      } catch {
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+// Check a domain against a list of rules
+function matchesAnyRule(rules, domain) {
+  return (rules || []).some(rule => ruleMatches(rule, domain));
+}
+
+// Human readable form of a rule (inverse of parseRule)
+function formatRule(rule) {
+  return rule.type === 'regex' ? `/${rule.pattern}/` : rule.pattern;
+}
+
+// Check if a domain is the given site or one of its subdomains
+function isSameOrSubdomain(domain, site) {
+  return domain === site || domain.endsWith(`.${site}`);
+}
+
+// Walk a domain and its parents: mail.google.com, google.com, com
+function getDomainAndParents(domain) {
+  const parts = domain.split('.');
+  return parts.map((_, i) => parts.slice(i).join('.'));
+}
+
+// Registrable domain (eTLD+1) of a host: mail.google.com -> google.com, news.bbc.co.uk -> bbc.co.uk
+// IP addresses and hosts with no known suffix above them are returned as is
+function getRegistrableDomain(host) {
+  if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+  const labels = host.split('.');
+  // Longest suffix first, so a.github.io stays whole rather than grouping as github.io
+  for (let i = 1; i < labels.length - 1; i++) {
+    if (MULTI_LABEL_SUFFIXES.has(labels.slice(i).join('.'))) {
+      return labels.slice(i - 1).join('.');
+    }
+  }
+  return labels.slice(-2).join('.');
+}
+
+// The site a host is shown and totalled as: a user group, else its registrable domain when
+// grouping subdomains, else the host itself
+function getSiteGroup(domain, settings) {
+  const groups = settings.siteGroups || {};
+  const match = getDomainAndParents(domain).find(candidate => groups[candidate]);
+  if (match) return groups[match];
+  return settings.groupSubdomains ? getRegistrableDomain(domain) : domain;
+}
+
+// Hosts among `domains` that belong to a site group
+function getGroupHosts(group, domains, settings) {
+  return domains.filter(domain => getSiteGroup(domain, settings) === group);
+}
+
+// Re-key one day of dailyStats by site group, summing time, visits and passive time
+function groupDayStats(dayStats, settings) {
+  const grouped = {};
+  Object.entries(dayStats || {}).forEach(([domain, data]) => {
+    const name = getSiteGroup(domain, settings);
+    const group = grouped[name] = grouped[name] || { time: 0, visits: 0 };
+    group.time += data.time;
+    group.visits += data.visits;
+    if (data.passive) {
+      group.passive = (group.passive || 0) + data.passive;
+    }
+  });
+  return grouped;
+}
+
+// Merge site rows ({ domain, time, passive, visits, favicon }) by site group, busiest first
+// Each row keeps its hosts; the favicon comes from the busiest host
+function groupSiteRows(rows, settings) {
+  const groups = new Map();
+  [...rows].sort((a, b) => b.time - a.time).forEach(row => {
+    const name = getSiteGroup(row.domain, settings);
+    const group = groups.get(name);
+    if (!group) {
+      groups.set(name, { ...row, domain: name, hosts: [row.domain] });
+      return;
+    }
+    group.time += row.time;
+    group.passive = (group.passive || 0) + (row.passive || 0);
+    group.visits += row.visits;
+    group.hosts.push(row.domain);
+  });
+  return [...groups.values()].sort((a, b) => b.time - a.time);
+}
+
+// Get the category of a domain - user assignments win over the bundled mapping
+function getCategory(domain, settings) {
+  const candidates = getDomainAndParents(domain);
+  for (const mapping of [settings.siteCategories, DEFAULT_SITE_CATEGORIES]) {
+    const match = candidates.find(candidate => mapping[candidate]);
+    if (match) return mapping[match];
+  }
+  return UNCATEGORIZED;
+}
+
+// Get a category's weight - user defined categories are neutral unless set otherwise
+function getCategoryWeight(category, settings) {
+  return settings.categoryWeights[category] || DEFAULT_CATEGORIES[category]?.weight || 'neutral';
+}
+
+// Get a category's display color
+function getCategoryColor(category) {
+  return DEFAULT_CATEGORIES[category]?.color || '#A2845E';
+}
+
+// All known category names, bundled ones first
+function getCategoryNames(settings) {
+  const custom = Object.values(settings.siteCategories)
+    .filter(name => !DEFAULT_CATEGORIES[name])
+    .sort();
+  return [...Object.keys(DEFAULT_CATEGORIES), ...new Set(custom)];
+}
+
+// Sum time per category for a { [domain]: timeMs } map, largest first
+function getCategoryBreakdown(siteTimes, settings) {
+  const totals = {};
+  Object.entries(siteTimes).forEach(([domain, time]) => {
+    const category = getCategory(domain, settings);
+    totals[category] = (totals[category] || 0) + time;
+  });
+  
+  return Object.entries(totals)
+    .map(([category, time]) => ({
+      category,
+      time,
+      weight: getCategoryWeight(category, settings),
+      color: getCategoryColor(category)
+    }))
+    .sort((a, b) => b.time - a.time);
+}
+
+// Productivity score from 0 (all distracting) to 100 (all productive), 50 is neutral
+// Returns null when there is no time to score
+function getProductivityScore(siteTimes, settings) {
+  let productive = 0;
+  let distracting = 0;
+  let total = 0;
+  
+  getCategoryBreakdown(siteTimes, settings).forEach(({ time, weight }) => {
+    total += time;
+    if (weight === 'productive') productive += time;
+    if (weight === 'distracting') distracting += time;
+  });
+  
+  if (total === 0) return null;
+  return Math.round(((productive - distracting) / total + 1) * 50);
+}
+
+// Map one day of dailyStats to { [domain]: timeMs }
+function getDaySiteTimes(dayStats) {
+  return Object.fromEntries(Object.entries(dayStats || {}).map(([domain, data]) => [domain, data.time]));
+}
+
+// Average daily productivity score over a list of days of dailyStats
+function getAverageProductivityScore(days, settings) {
+  const scores = days
+    .map(dayStats => getProductivityScore(getDaySiteTimes(dayStats), settings))
+    .filter(score => score !== null);
+  if (scores.length === 0) return null;
+  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
+
+// Get the limits that apply to a domain
+function getLimitsForDomain(domain, settings) {
+  return settings.limits.filter(limit => matchesTarget(domain, limit, settings));
+}
+
+// Whether a domain falls under a limit or goal target: { type: 'domain' | 'category', target }
+function matchesTarget(domain, { type, target }, settings) {
+  if (type === 'category') {
+    return getCategory(domain, settings) === target;
+  }
+  return isSameOrSubdomain(domain, target) || getSiteGroup(domain, settings) === target;
+}
+
+// Time spent on a limit's (or goal's) sites for one day of dailyStats
+function getLimitUsage(limit, dayStats, settings) {
+  return Object.entries(dayStats || {})
+    .filter(([domain]) => matchesTarget(domain, limit, settings))
+    .reduce((sum, [, data]) => sum + data.time, 0);
+}
+
+// Whether one day of dailyStats meets a goal - "at most" goals are met while under the limit
+function isGoalMet(goal, dayStats, settings) {
+  const used = getLimitUsage(goal, dayStats, settings);
+  const threshold = goal.minutes * 60 * 1000;
+  return goal.comparison === 'min' ? used >= threshold : used < threshold;
+}
+
+// Describe a goal, e.g. "At most 1h on Social"
+function formatGoal(goal) {
+  return `${goal.comparison === 'min' ? 'At least' : 'At most'} ${formatTime(goal.minutes * 60 * 1000)} on ${goal.target}`;
+}
+
+// Current and best streak of consecutive days meeting a goal, from the first tracked day
+// A day that isn't met yet today doesn't break the current streak - it can still be met
+function getGoalStreak(goal, dailyStats, settings) {
+  const todayKey = getTodayKey();
+  const firstKey = Object.keys(dailyStats).sort()[0];
+  if (!firstKey) return { current: 0, best: 0, metToday: false };
+  
+  let current = 0;
+  let best = 0;
+  let metToday = false;
+  getDateKeysInRange(firstKey < todayKey ? firstKey : todayKey, todayKey).forEach(key => {
+    if (isGoalMet(goal, dailyStats[key], settings)) {
+      current++;
+      best = Math.max(best, current);
+      metToday = key === todayKey;
+    } else if (key !== todayKey) {
+      current = 0;
+    }
+  });
+  return { current, best, metToday };
+}
+
+// Load today's limit overrides (snoozes, grace and unlocks reset every day)
+async function getLimitOverrides() {
+  const { webtime_limit_overrides } = await chrome.storage.local.get([LIMIT_OVERRIDES_KEY]);
+  const todayKey = getTodayKey();
+  if (!webtime_limit_overrides || webtime_limit_overrides.date !== todayKey) {
+    return { date: todayKey, domains: {} };
+  }
+  return webtime_limit_overrides;
+}
+
+// Persist an override for a domain
+async function saveLimitOverride(domain, changes) {
+  const overrides = await getLimitOverrides();
+  const current = overrides.domains[domain] || { allowUntil: 0, snoozes: 0, graceUsed: false, unlocked: false };
+  overrides.domains[domain] = { ...current, ...changes };
+  await chrome.storage.local.set({ [LIMIT_OVERRIDES_KEY]: overrides });
+}
+
+// Minutes a soft-blocked site can be allowed for during a focus session
+const FOCUS_ALLOW_MINUTES = 5;
+
+// Signed duration, e.g. "+1h 5m" or "-20m"
+function formatDelta(ms) {
+  return `${ms < 0 ? '-' : '+'}${formatTime(Math.abs(ms))}`;
+}
+
+// Hour of the day as "12am", "3pm"...
+function formatHour(hour) {
+  if (hour === 0) return '12am';
+  if (hour < 12) return `${hour}am`;
+  if (hour === 12) return '12pm';
+  return `${hour - 12}pm`;
+}
+
+// Per-site totals (by site group), overall total and busiest hour for a set of days
+function summarizeWeek(webTimeData, keys, settings) {
+  const sites = {};
+  const hours = {};
+  let total = 0;
+  keys.forEach(key => {
+    Object.entries(groupDayStats(webTimeData.dailyStats[key], settings)).forEach(([domain, data]) => {
+      sites[domain] = (sites[domain] || 0) + data.time;
+      total += data.time;
+    });
+    Object.entries(webTimeData.hourlyStats?.[key] || {}).forEach(([hour, time]) => {
+      hours[hour] = (hours[hour] || 0) + time;
+    });
+  });
+  const peak = Object.entries(hours).sort((a, b) => b[1] - a[1])[0];
+  return { sites, total, peakHour: peak ? Number(peak[0]) : null };
+}
+
+// Weekly digest: the 7 days up to endKey compared with the 7 days before
+// Returns null when neither week has any activity
+function buildWeeklyDigest(webTimeData, endKey, settings) {
+  const end = parseDateKey(endKey);
+  const daysBefore = n => {
+    const date = new Date(end);
+    date.setDate(date.getDate() - n);
+    return getDateKey(date);
+  };
+  const thisWeek = summarizeWeek(webTimeData, getDateKeysInRange(daysBefore(6), endKey), settings);
+  const lastWeek = summarizeWeek(webTimeData, getDateKeysInRange(daysBefore(13), daysBefore(7)), settings);
+  if (thisWeek.total === 0 && lastWeek.total === 0) return null;
+  
+  // Domains whose time changed the most, either way
+  const domains = new Set([...Object.keys(thisWeek.sites), ...Object.keys(lastWeek.sites)]);
+  const movers = [...domains]
+    .map(domain => ({ domain, delta: (thisWeek.sites[domain] || 0) - (lastWeek.sites[domain] || 0) }))
+    .filter(mover => Math.abs(mover.delta) >= 60 * 1000)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, 3);
+  
+  const lines = [`Total ${formatTime(thisWeek.total)} (${formatDelta(thisWeek.total - lastWeek.total)} vs last week)`];
+  if (movers.length > 0) {
+    lines.push(`Top movers: ${movers.map(mover => `${mover.domain} ${formatDelta(mover.delta)}`).join(', ')}`);
+  }
+  if (thisWeek.peakHour !== null && lastWeek.peakHour !== null && thisWeek.peakHour !== lastWeek.peakHour) {
+    lines.push(`Peak hour moved from ${formatHour(lastWeek.peakHour)} to ${formatHour(thisWeek.peakHour)}`);
+  } else if (thisWeek.peakHour !== null) {
+    lines.push(`Peak hour: ${formatHour(thisWeek.peakHour)}`);
+  }
+  
+  const weekKeys = getDateKeysInRange(daysBefore(6), endKey);
+  settings.goals.forEach(goal => {
+    const met = weekKeys.filter(key => isGoalMet(goal, webTimeData.dailyStats[key], settings)).length;
+    lines.push(`${formatGoal(goal)}: met ${met} of 7 days`);
+  });
+  
+  return { title: 'Your week in Quipu Pacha', message: lines.join('\n'), thisWeek, lastWeek, movers };
+}
+
+// Whether a domain is soft-blocked during a focus session
+// Sites in distracting categories (if enabled) and sites matching the focus block list
+function isFocusBlocked(domain, settings) {
+  if (matchesAnyRule(settings.focusBlockRules, domain)) return true;
+  return settings.focusBlockDistracting &&
+    getCategoryWeight(getCategory(domain, settings), settings) === 'distracting';
+}
+
+// Where a focus session's time went: [{ domain, time }] sorted by time
+function getSessionBreakdown(session) {
+  return Object.entries(session.sites || {})
+    .map(([domain, time]) => ({ domain, time }))
+    .sort((a, b) => b.time - a.time);
+}
+
+// One-line summary of a focus session, e.g. "25m - github.com 18m, docs.rs 6m"
+function describeSession(session, topCount = 3) {
+  const duration = formatTime(session.end - session.start);
+  const top = getSessionBreakdown(session).slice(0, topCount);
+  if (top.length === 0) return `${duration} - no site activity`;
+  return `${duration} - ${top.map(entry => `${entry.domain} ${formatTime(entry.time)}`).join(', ')}`;
+}
+
+// Escape HTML to prevent XSS (extension pages only - uses the DOM)
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+// Icon for a site: the data URL cached from its tab, otherwise the browser's own favicon cache
+// through the _favicon endpoint (favicon permission) - no request ever leaves the browser
+function getFaviconUrl(domain, cached) {
+  if (cached?.startsWith('data:image/')) return cached;
+  const url = new URL(chrome.runtime.getURL('/_favicon/'));
+  url.searchParams.set('pageUrl', `https://${domain}/`);
+  url.searchParams.set('size', '32');
+  return url.toString();
+}
+
+// Sanitize URL to prevent XSS through malicious URLs
+function sanitizeUrl(url) {
+  if (!url || /["'<>\s]/.test(url)) return '';
+  try {
+    const parsed = new URL(url);
+    // Only local images: cached data URLs and this extension's _favicon endpoint
+    if (parsed.protocol === 'data:' && /^data:image\/[\w.+-]+[;,]/.test(url)) {
+      return url;
+    }
+    if (url.startsWith(chrome.runtime.getURL('/_favicon/'))) {
+      return url;
+    }
+    return '';
+  } catch {
+    return '';
+  }
+}
+
+// Sum path and title time for a site's hosts over a set of days of webtime_paths
+// Returns { paths: [{ name, time }], titles: [{ name, time }] }, largest first
+function getPageBreakdown(pathData, keys, domains) {
+  const paths = {};
+  const titles = {};
+  keys.forEach(key => domains.forEach(domain => {
+    const domainPages = pathData?.[key]?.[domain];
+    if (!domainPages) return;
+    Object.entries(domainPages.paths || {}).forEach(([path, time]) => {
+      paths[path] = (paths[path] || 0) + time;
+    });
+    Object.entries(domainPages.titles || {}).forEach(([title, time]) => {
+      titles[title] = (titles[title] || 0) + time;
+    });
+  }));
+  
+  const toList = totals => Object.entries(totals)
+    .map(([name, time]) => ({ name, time }))
+    .sort((a, b) => b.time - a.time);
+  return { paths: toList(paths), titles: toList(titles) };
+}
+
+// Split a stretch of time at every hour boundary (days start on one too)
+// Returns [{ start, end, dateKey, hour }] in order; DST changes follow local time
+function splitInterval(start, end) {
+  const pieces = [];
+  while (start < end) {
+    const date = new Date(start);
+    const nextHour = new Date(date);
+    nextHour.setHours(date.getHours() + 1, 0, 0, 0);
+    const pieceEnd = Math.min(end, nextHour.getTime());
+    pieces.push({ start, end: pieceEnd, dateKey: getDateKey(date), hour: date.getHours() });
+    start = pieceEnd;
+  }
+  return pieces;
+}
+
+// A day's sites, hours and per-domain hours rebuilt from its session log
+// Matches the day record's time for days logged from the start (visits aren't logged)
+function aggregateSessionLog(log) {
+  const day = { sites: {}, hours: {}, domainHours: {} };
+  log.forEach(({ start, end, domain }) => {
+    const time = end - start;
+    const hour = new Date(start).getHours();
+    day.sites[domain] = day.sites[domain] || { time: 0 };
+    day.sites[domain].time += time;
+    day.hours[hour] = (day.hours[hour] || 0) + time;
+    const domainHours = day.domainHours[domain] = day.domainHours[domain] || {};
+    domainHours[hour] = (domainHours[hour] || 0) + time;
+  });
+  return day;
+}
+
+// Join a day's logged intervals back into sessions - the same domain in the same window with no
+// more than gapMs in between - for display: [{ start, end, domain, windowId, time }]
+function getTimelineSessions(log, gapMs = 0) {
+  const sessions = [];
+  const open = new Map(); // windowId -> its latest session
+  [...log].sort((a, b) => a.start - b.start).forEach(({ start, end, domain, windowId }) => {
+    const last = open.get(windowId);
+    if (last && last.domain === domain && start - last.end <= gapMs) {
+      last.end = Math.max(last.end, end);
+      last.time += end - start;
+      return;
+    }
+    const session = { start, end, domain, windowId, time: end - start };
+    sessions.push(session);
+    open.set(windowId, session);
+  });
+  return sessions;
+}
+
+// History as seen through the popup's device filter: 'all' adds synced devices' daily totals to
+// this device's history, 'local' is this device alone and a device ID shows only that device.
+// Synced devices share active time per site and day, nothing else.
+function applyDeviceFilter(webTimeData, devices, filter) {
+  if (filter === 'local' || Object.keys(devices || {}).length === 0) return webTimeData;
+  
+  const remote = filter === 'all' ? Object.values(devices) : [devices[filter]].filter(Boolean);
+  const view = filter === 'all'
+    ? { ...webTimeData, sites: structuredClone(webTimeData.sites), dailyStats: structuredClone(webTimeData.dailyStats) }
+    : { ...createEmptyWebTimeData(), lastUpdated: webTimeData.lastUpdated };
+  
+  remote.forEach(device => Object.entries(device.days).forEach(([dateKey, day]) => {
+    const dayStats = view.dailyStats[dateKey] = view.dailyStats[dateKey] || {};
+    Object.entries(day).forEach(([domain, seconds]) => {
+      const time = seconds * 1000;
+      dayStats[domain] = dayStats[domain] || { time: 0, visits: 0 };
+      dayStats[domain].time += time;
+      
+      const site = view.sites[domain] = view.sites[domain] || {
+        totalTime: 0,
+        visits: 0,
+        favicon: webTimeData.sites[domain]?.favicon || '',
+        firstVisit: parseDateKey(dateKey).getTime()
+      };
+      site.totalTime += time;
+    });
+  }));
+  return view;
+}
+
+// Empty webtime_data at the current schema version
+function createEmptyWebTimeData() {
+  return {
+    version: SCHEMA_VERSION,
+    sites: {},
+    dailyStats: {},
+    hourlyStats: {},
+    domainHourlyStats: {},
+    monthlyStats: {},
+    focusSessions: {},
+    lastUpdated: Date.now()
+  };
+}
+
+// Migration steps - each upgrades data from version - 1 to version
+const MIGRATIONS = [
+  {
+    // Unversioned data: objects created by recordVisit could lack hourlyStats
+    version: 1,
+    migrate(data) {
+      data.hourlyStats = data.hourlyStats || {};
+      data.monthlyStats = data.monthlyStats || {};
+      Object.values(data.sites).forEach(site => {
+        site.totalTime = site.totalTime || 0;
+        site.visits = site.visits || 0;
+      });
+      return data;
+    }
+  },
+  {
+    // History moved from the single webtime_data key to one key per day (see storage.js)
+    // The assembled object keeps the same shape
+    version: 2,
+    migrate(data) {
+      return data;
+    }
+  },
+  {
+    // Favicons were Google favicon service URLs, which told Google every site visited.
+    // Icons now come from the browser (see getFaviconUrl); only cached data URLs are kept
+    version: 3,
+    migrate(data) {
+      Object.values(data.sites).forEach(site => {
+        if (!site.favicon?.startsWith('data:image/')) {
+          site.favicon = '';
+        }
+      });
+      return data;
+    }
+  },
+  {
+    // The webtime_sites map was split into one key per site, so a heartbeat doesn't rewrite
+    // every site ever seen (see storage.js). The assembled object keeps the same shape
+    version: 4,
+    migrate(data) {
+      return data;
+    }
+  }
+];
+
+// Run every migration newer than the data's version
+// Returns the data unchanged (same object) when it is already current
+function migrateWebTimeData(data) {
+  const fromVersion = data.version || 0;
+  if (fromVersion >= SCHEMA_VERSION) return data;
+  
+  let migrated = structuredClone(data);
+  MIGRATIONS
+    .filter(step => step.version > fromVersion)
+    .forEach(step => {
+      migrated = step.migrate(migrated);
+      migrated.version = step.version;
+    });
+  return migrated;
+}
+
+// The oldest date key kept as daily detail, or null when history is kept forever
+function getRetentionCutoffKey(retentionDays) {
+  if (!retentionDays) return null;
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+  return getDateKey(cutoff);
+}
+
+// Roll days older than retentionDays into monthlyStats and prune them
+// Returns true when anything changed
+function applyRetention(data, pathData, retentionDays, logData) {
+  const cutoffKey = getRetentionCutoffKey(retentionDays);
+  return cutoffKey ? rollUpHistory(data, pathData, cutoffKey, logData) : false;
+}
+
+// Roll days before cutoffKey into monthlyStats and prune them
+// Page details and the session log have no monthly form, so old days are simply dropped
+// Returns true when anything changed
+function rollUpHistory(data, pathData, cutoffKey, logData) {
+  let changed = false;
+  
+  data.monthlyStats = data.monthlyStats || {};
+  Object.keys(data.dailyStats).filter(key => key < cutoffKey).forEach(key => {
+    const month = data.monthlyStats[key.slice(0, 7)] = data.monthlyStats[key.slice(0, 7)] || { sites: {}, hours: {}, days: 0 };
+    Object.entries(data.dailyStats[key]).forEach(([domain, dayData]) => {
+      const site = month.sites[domain] = month.sites[domain] || { time: 0, visits: 0 };
+      site.time += dayData.time;
+      site.visits += dayData.visits;
+      if (dayData.passive) {
+        site.passive = (site.passive || 0) + dayData.passive;
+      }
+    });
+    Object.entries(data.hourlyStats?.[key] || {}).forEach(([hour, time]) => {
+      month.hours[hour] = (month.hours[hour] || 0) + time;
+    });
+    month.days++;
+    delete data.dailyStats[key];
+    changed = true;
+  });
+  
+  // Focus sessions and per-domain hours are only kept as long as daily detail
+  ['focusSessions', 'domainHourlyStats'].forEach(field => {
+    Object.keys(data[field] || {}).filter(key => key < cutoffKey).forEach(key => {
+      delete data[field][key];
+      changed = true;
+    });
+  });
+  
+  // Hourly stats can exist for days without daily entries
+  Object.keys(data.hourlyStats || {}).filter(key => key < cutoffKey).forEach(key => {
+    delete data.hourlyStats[key];
+    changed = true;
+  });
+  
+  [pathData, logData].forEach(dayData => {
+    Object.keys(dayData || {}).filter(key => key < cutoffKey).forEach(key => {
+      delete dayData[key];
+      changed = true;
+    });
+  });
+  
+  return changed;
+}
+
+// Validate an exported backup ({ exportDate, data }) or a bare webtime_data object
+// Returns { errors, data, exportDate } - data is null when the file can't be used
+function validateBackup(json) {
+  const errors = [];
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isDateKey = key => /^\d{4}-\d{2}-\d{2}$/.test(key);
+  const source = isObject(json) && isObject(json.data) ? json.data : json;
+  
+  if (!isObject(source) || !isObject(source.sites) || !isObject(source.dailyStats)) {
+    return { errors: ['Not a Quipu Pacha export - missing sites or dailyStats'], data: null, exportDate: null };
+  }
+  
+  ['hourlyStats', 'domainHourlyStats', 'focusSessions', 'monthlyStats'].forEach(field => {
+    if (source[field] !== undefined && !isObject(source[field])) {
+      errors.push(`Invalid ${field}`);
+    }
+  });
+  if (errors.length) {
+    return { errors, data: null, exportDate: null };
+  }
+  
+  Object.entries(source.sites).forEach(([domain, site]) => {
+    if (!isObject(site) || !isNumber(site.totalTime) || !isNumber(site.visits) ||
+        (site.passiveTime !== undefined && !isNumber(site.passiveTime)) ||
+        (site.favicon !== undefined && typeof site.favicon !== 'string') ||
+        (site.firstVisit !== undefined && !isNumber(site.firstVisit))) {
+      errors.push(`Invalid site entry: ${domain}`);
+    }
+  });
+  
+  Object.entries(source.dailyStats).forEach(([key, dayData]) => {
+    if (!isDateKey(key) || !isObject(dayData)) {
+      errors.push(`Invalid day: ${key}`);
+      return;
+    }
+    Object.entries(dayData).forEach(([domain, data]) => {
+      if (!isObject(data) || !isNumber(data.time) || !isNumber(data.visits) ||
+          (data.passive !== undefined && !isNumber(data.passive))) {
+        errors.push(`Invalid entry for ${domain} on ${key}`);
+      }
+    });
+  });
+  
+  const isHours = hours => isObject(hours) && Object.entries(hours)
+    .every(([hour, time]) => Number(hour) >= 0 && Number(hour) < 24 && isNumber(time));
+  
+  Object.entries(source.hourlyStats || {}).forEach(([key, hours]) => {
+    if (!isDateKey(key) || !isHours(hours)) {
+      errors.push(`Invalid hourly stats for ${key}`);
+    }
+  });
+  
+  Object.entries(source.domainHourlyStats || {}).forEach(([key, domains]) => {
+    if (!isDateKey(key) || !isObject(domains) || !Object.values(domains).every(isHours)) {
+      errors.push(`Invalid per-site hourly stats for ${key}`);
+    }
+  });
+  
+  Object.entries(source.focusSessions || {}).forEach(([key, sessions]) => {
+    const validSessions = Array.isArray(sessions) && sessions.every(session =>
+      isObject(session) && isNumber(session.start) && isNumber(session.end) && isObject(session.sites));
+    if (!isDateKey(key) || !validSessions) {
+      errors.push(`Invalid focus sessions for ${key}`);
+    }
+  });
+  
+  Object.entries(source.monthlyStats || {}).forEach(([month, monthData]) => {
+    const validMonth = /^\d{4}-\d{2}$/.test(month) && isObject(monthData) &&
+      isObject(monthData.sites) && isHours(monthData.hours) && isNumber(monthData.days) &&
+      Object.values(monthData.sites).every(site => isObject(site) && isNumber(site.time) && isNumber(site.visits) &&
+        (site.passive === undefined || isNumber(site.passive)));
+    if (!validMonth) {
+      errors.push(`Invalid monthly stats for ${month}`);
+    }
+  });
+  
+  if ((source.version || 0) > SCHEMA_VERSION) {
+    errors.push('This backup was made by a newer version of Quipu Pacha');
+  }
+  
+  return {
+    errors,
+    data: errors.length ? null : migrateWebTimeData({ hourlyStats: {}, ...source }),
+    exportDate: isObject(json) && json.exportDate ? json.exportDate : null
+  };
+}
+
+// Merge imported data into current data
+// Overlapping days keep the larger value per domain (and per hour), so importing
+// the same backup twice - or a backup of days already tracked here - never double counts
+function mergeWebTimeData(current, imported) {
+  const merged = structuredClone(current);
+  merged.hourlyStats = merged.hourlyStats || {};
+  merged.monthlyStats = merged.monthlyStats || {};
+  
+  Object.entries(imported.dailyStats).forEach(([key, dayData]) => {
+    merged.dailyStats[key] = merged.dailyStats[key] || {};
+    
+    Object.entries(dayData).forEach(([domain, data]) => {
+      const existing = merged.dailyStats[key][domain] || { time: 0, visits: 0 };
+      const addedTime = Math.max(0, data.time - existing.time);
+      const addedVisits = Math.max(0, data.visits - existing.visits);
+      const addedPassive = Math.max(0, (data.passive || 0) - (existing.passive || 0));
+      merged.dailyStats[key][domain] = {
+        ...existing,
+        time: existing.time + addedTime,
+        visits: existing.visits + addedVisits
+      };
+      if (addedPassive) {
+        merged.dailyStats[key][domain].passive = (existing.passive || 0) + addedPassive;
+      }
+      
+      const importedSite = imported.sites[domain] || {};
+      if (!merged.sites[domain]) {
+        merged.sites[domain] = {
+          totalTime: 0,
+          visits: 0,
+          favicon: importedSite.favicon || '',
+          firstVisit: importedSite.firstVisit || parseDateKey(key).getTime()
+        };
+      }
+      const site = merged.sites[domain];
+      site.totalTime += addedTime;
+      site.visits += addedVisits;
+      if (addedPassive) {
+        site.passiveTime = (site.passiveTime || 0) + addedPassive;
+      }
+      if (importedSite.firstVisit && importedSite.firstVisit < site.firstVisit) {
+        site.firstVisit = importedSite.firstVisit;
+      }
+    });
+  });
+  
+  merged.domainHourlyStats = merged.domainHourlyStats || {};
+  Object.entries(imported.domainHourlyStats || {}).forEach(([key, domains]) => {
+    const mergedDay = merged.domainHourlyStats[key] = merged.domainHourlyStats[key] || {};
+    Object.entries(domains).forEach(([domain, hours]) => {
+      mergedDay[domain] = mergedDay[domain] || {};
+      Object.entries(hours).forEach(([hour, time]) => {
+        mergedDay[domain][hour] = Math.max(mergedDay[domain][hour] || 0, time);
+      });
+    });
+  });
+  
+  // An hour holds at least the merged time of its domains, so the hours still add up to the day
+  // when both sides recorded different sites; days without per-domain hours keep the larger total
+  Object.entries(imported.hourlyStats || {}).forEach(([key, hours]) => {
+    const mergedHours = merged.hourlyStats[key] = merged.hourlyStats[key] || {};
+    Object.entries(hours).forEach(([hour, time]) => {
+      mergedHours[hour] = Math.max(mergedHours[hour] || 0, time);
+    });
+    
+    const domainTotals = {};
+    Object.values(merged.domainHourlyStats[key] || {}).forEach(domainHours => {
+      Object.entries(domainHours).forEach(([hour, time]) => {
+        domainTotals[hour] = (domainTotals[hour] || 0) + time;
+      });
+    });
+    Object.entries(domainTotals).forEach(([hour, time]) => {
+      mergedHours[hour] = Math.max(mergedHours[hour] || 0, time);
+    });
+  });
+  
+  // Sessions are matched by id, so the same session is never added twice
+  merged.focusSessions = merged.focusSessions || {};
+  Object.entries(imported.focusSessions || {}).forEach(([key, sessions]) => {
+    const existing = merged.focusSessions[key] || [];
+    const added = sessions.filter(session => !existing.some(s => s.id === session.id));
+    if (added.length > 0) {
+      merged.focusSessions[key] = [...existing, ...added].sort((a, b) => a.start - b.start);
+    }
+  });
+  
+  // Monthly aggregates can't be compared day by day - only fill in months missing here
+  Object.entries(imported.monthlyStats || {}).forEach(([month, monthData]) => {
+    if (!merged.monthlyStats[month]) {
+      merged.monthlyStats[month] = monthData;
+    }
+  });
+  
+  merged.lastUpdated = Date.now();
+  return merged;
+}
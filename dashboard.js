@@ -0,0 +1,443 @@
+// Quipu Pacha Dashboard
+// Full-page history view built from locally stored dailyStats
+
+document.addEventListener('DOMContentLoaded', init);
+
+const DEFAULT_RANGE_DAYS = 30;
+const TREND_TOP_DOMAINS = 5;
+const TREND_COLORS = ['#007AFF', '#FF9500', '#34C759', '#AF52DE', '#FF2D55'];
+const TREND_OTHER_COLOR = '#C7C7CC';
+const TIMELINE_JOIN_MS = 60 * 1000; // sessions this close together are shown as one
+
+let webTimeDataCache = null;
+let settingsCache = null;
+let rangeStart = null;
+let rangeEnd = null;
+let trendGranularity = 'week';
+let tableSort = { key: 'time', ascending: false };
+let timelineDate = null;
+
+async function init() {
+  setupRangePicker();
+  setupTrendControls();
+  setupTimeline();
+  setupSiteTable();
+  setupExport();
+  await loadData();
+}
+
+// Load data and render everything for the current range
+async function loadData() {
+  try {
+    webTimeDataCache = await loadWebTimeData();
+    settingsCache = await getSettings();
+
+    if (!rangeStart) {
+      setRangeDays(DEFAULT_RANGE_DAYS);
+    }
+    render();
+  } catch (error) {
+    console.error('Error loading data:', error);
+  }
+}
+
+// Render all sections for the selected range
+function render() {
+  const keys = getDateKeysInRange(rangeStart, rangeEnd);
+
+  document.getElementById('range-start').value = rangeStart;
+  document.getElementById('range-end').value = rangeEnd;
+
+  displaySummary(keys);
+  displayHeatmap(keys);
+  displayTrendChart(keys);
+  displayTimeline();
+  displayFocusHistory(keys);
+  displaySiteTable(keys);
+}
+
+// Range presets and date inputs
+function setupRangePicker() {
+  document.querySelectorAll('#range-presets .preset-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      setRangeDays(btn.dataset.days === 'all' ? 'all' : Number(btn.dataset.days));
+      render();
+    });
+  });
+
+  ['range-start', 'range-end'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      const start = document.getElementById('range-start').value;
+      const end = document.getElementById('range-end').value;
+      if (!start || !end) return;
+
+      // Keep the range ordered if the user picks an end before the start
+      [rangeStart, rangeEnd] = start <= end ? [start, end] : [end, start];
+      highlightPreset(null);
+      render();
+    });
+  });
+}
+
+// Set the range to the last N days, or everything recorded
+function setRangeDays(days) {
+  rangeEnd = getTodayKey();
+
+  if (days === 'all') {
+    const recorded = Object.keys(webTimeDataCache.dailyStats).sort();
+    rangeStart = recorded[0] && recorded[0] < rangeEnd ? recorded[0] : rangeEnd;
+  } else {
+    const start = new Date();
+    start.setDate(start.getDate() - (days - 1));
+    rangeStart = getDateKey(start);
+  }
+  highlightPreset(String(days));
+}
+
+// Mark the active preset button
+function highlightPreset(days) {
+  document.querySelectorAll('#range-presets .preset-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.days === days);
+  });
+}
+
+// Total time for one day of dailyStats
+function getDayTotal(key) {
+  const dayData = webTimeDataCache.dailyStats[key] || {};
+  return Object.values(dayData).reduce((sum, data) => sum + data.time, 0);
+}
+
+// Sum per-site time and visits over a set of days, by site group
+// hosts keeps each host's time so a group can borrow its busiest host's category and favicon
+function aggregateSites(keys) {
+  const sites = {};
+  keys.forEach(key => {
+    const dayData = webTimeDataCache.dailyStats[key] || {};
+    const activeGroups = new Set();
+    Object.entries(dayData).forEach(([domain, data]) => {
+      const group = getSiteGroup(domain, settingsCache);
+      if (!sites[group]) {
+        sites[group] = { time: 0, visits: 0, days: 0, hosts: {} };
+      }
+      sites[group].time += data.time;
+      sites[group].visits += data.visits;
+      sites[group].hosts[domain] = (sites[group].hosts[domain] || 0) + data.time;
+      if (data.time > 0) activeGroups.add(group);
+    });
+    activeGroups.forEach(group => sites[group].days++);
+  });
+  return sites;
+}
+
+// Display headline numbers
+function displaySummary(keys) {
+  const totals = keys.map(getDayTotal);
+  const totalTime = totals.reduce((sum, time) => sum + time, 0);
+  const activeDays = totals.filter(time => time > 0).length;
+  const siteCount = Object.keys(aggregateSites(keys)).length;
+  const score = getAverageProductivityScore(
+    keys.map(key => webTimeDataCache.dailyStats[key]).filter(Boolean),
+    settingsCache
+  );
+
+  document.getElementById('summary-total').textContent = formatTime(totalTime);
+  document.getElementById('summary-average').textContent = formatTime(activeDays ? totalTime / activeDays : 0);
+  document.getElementById('summary-sites').textContent = siteCount;
+  document.getElementById('summary-score').textContent = score === null ? '-' : score;
+}
+
+// Display a calendar heatmap - one column per week, one row per weekday
+function displayHeatmap(keys) {
+  const totals = keys.map(getDayTotal);
+  const maxTime = Math.max(...totals, 1);
+
+  // Pad the first week so rows line up with weekdays (Sunday first)
+  const padding = parseDateKey(keys[0]).getDay();
+  const cells = Array.from({ length: padding }, () => '<span class="heat-cell outside"></span>');
+
+  keys.forEach((key, i) => {
+    const time = totals[i];
+    const level = time === 0 ? 0 : Math.ceil((time / maxTime) * 4);
+    const label = parseDateKey(key).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    cells.push(`<span class="heat-cell level-${level}" title="${label}: ${formatTime(time)}"></span>`);
+  });
+
+  document.getElementById('heatmap').innerHTML = cells.join('');
+}
+
+// Weekly / monthly toggle
+function setupTrendControls() {
+  document.querySelectorAll('#trend-granularity .preset-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      document.querySelectorAll('#trend-granularity .preset-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      trendGranularity = btn.dataset.granularity;
+      displayTrendChart(getDateKeysInRange(rangeStart, rangeEnd));
+    });
+  });
+}
+
+// Bucket key for a day - the Monday of its week, or its month
+function getTrendBucket(key) {
+  if (trendGranularity === 'month') {
+    return key.slice(0, 7);
+  }
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return getDateKey(date);
+}
+
+// Axis label for a bucket
+function formatTrendBucket(bucket) {
+  if (trendGranularity === 'month') {
+    return parseDateKey(`${bucket}-01`).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+  }
+  return parseDateKey(bucket).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+// Display stacked per-domain bars for each week or month
+function displayTrendChart(keys) {
+  const topDomains = Object.entries(aggregateSites(keys))
+    .sort((a, b) => b[1].time - a[1].time)
+    .slice(0, TREND_TOP_DOMAINS)
+    .map(([domain]) => domain);
+
+  // bucket -> { [domain | 'other']: time }
+  const buckets = new Map();
+  keys.forEach(key => {
+    const bucket = getTrendBucket(key);
+    if (!buckets.has(bucket)) buckets.set(bucket, {});
+    const totals = buckets.get(bucket);
+
+    Object.entries(groupDayStats(webTimeDataCache.dailyStats[key], settingsCache)).forEach(([domain, data]) => {
+      const series = topDomains.includes(domain) ? domain : 'other';
+      totals[series] = (totals[series] || 0) + data.time;
+    });
+  });
+
+  const bucketTotals = [...buckets.values()].map(totals => Object.values(totals).reduce((sum, t) => sum + t, 0));
+  const maxTime = Math.max(...bucketTotals, 1);
+  const series = [...topDomains, 'other'];
+
+  document.getElementById('trend-chart').innerHTML = [...buckets.entries()].map(([bucket, totals], i) => {
+    // Segments share the stack; the stack itself is scaled against the busiest bucket
+    const segments = series
+      .filter(name => totals[name])
+      .map(name => {
+        const color = name === 'other' ? TREND_OTHER_COLOR : TREND_COLORS[topDomains.indexOf(name)];
+        const height = (totals[name] / bucketTotals[i]) * 100;
+        return `<div class="trend-segment" style="height: ${height}%; background: ${color}"
+                     title="${escapeHtml(name === 'other' ? 'Other' : name)}: ${formatTime(totals[name])}"></div>`;
+      })
+      .join('');
+
+    return `
+      <div class="trend-column" title="${formatTime(bucketTotals[i])}">
+        <div class="trend-stack" style="height: ${(bucketTotals[i] / maxTime) * 100}%">${segments}</div>
+        <span class="trend-label">${formatTrendBucket(bucket)}</span>
+      </div>
+    `;
+  }).join('');
+
+  document.getElementById('trend-legend').innerHTML = series.map((name, i) => `
+    <span class="trend-legend-item">
+      <span class="category-dot" style="background: ${name === 'other' ? TREND_OTHER_COLOR : TREND_COLORS[i]}"></span>
+      ${escapeHtml(name === 'other' ? 'Other' : name)}
+    </span>
+  `).join('');
+}
+
+// Day picker for the timeline - today unless another day is chosen
+function setupTimeline() {
+  const input = document.getElementById('timeline-date');
+  input.max = getTodayKey();
+  input.min = getRetentionCutoffKey(LOG_RETENTION_DAYS);
+  input.addEventListener('change', () => {
+    timelineDate = input.value || null;
+    displayTimeline();
+  });
+}
+
+// Display one day's session log: a lane per window across the day, then the sessions in order
+async function displayTimeline() {
+  const dateKey = timelineDate || getTodayKey();
+  document.getElementById('timeline-date').value = dateKey;
+  const log = await loadSessionLog(dateKey);
+  const sessions = getTimelineSessions(log, TIMELINE_JOIN_MS);
+  const day = aggregateSessionLog(log);
+  const totalTime = Object.values(day.sites).reduce((sum, site) => sum + site.time, 0);
+  const siteCount = Object.keys(day.sites).length;
+
+  document.getElementById('timeline-stats').textContent = sessions.length === 0 ? '' :
+    `${formatTime(totalTime)} · ${siteCount} site${siteCount !== 1 ? 's' : ''} · ${sessions.length} session${sessions.length !== 1 ? 's' : ''}`;
+
+  const chart = document.getElementById('timeline-chart');
+  const list = document.getElementById('timeline-list');
+  if (sessions.length === 0) {
+    chart.innerHTML = '';
+    list.innerHTML = '<div class="focus-empty">No timeline for this day - it is recorded as you browse</div>';
+    return;
+  }
+
+  const dayStart = parseDateKey(dateKey).getTime();
+  const dayEnd = new Date(dayStart).setDate(new Date(dayStart).getDate() + 1);
+  const position = time => ((time - dayStart) / (dayEnd - dayStart)) * 100;
+  const formatClock = time => new Date(time).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const describe = session => `${session.domain}: ${formatClock(session.start)} - ${formatClock(session.end)} (${formatTime(session.time)})`;
+  const getColor = session => getCategoryColor(getCategory(session.domain, settingsCache));
+
+  // Windows in the order they were first used
+  const windowIds = [...new Set(sessions.map(session => session.windowId))];
+  const lanes = windowIds.map((windowId, i) => {
+    const blocks = sessions
+      .filter(session => session.windowId === windowId)
+      .map(session => `
+        <div class="timeline-block" title="${escapeHtml(describe(session))}"
+             style="left: ${position(session.start)}%; width: ${position(session.end) - position(session.start)}%; background: ${getColor(session)}"></div>
+      `).join('');
+    return `
+      <div class="timeline-lane">
+        <span class="timeline-lane-label">Window ${i + 1}</span>
+        <div class="timeline-track">${blocks}</div>
+      </div>
+    `;
+  }).join('');
+  const axis = [0, 3, 6, 9, 12, 15, 18, 21].map(hour => `<span>${formatHour(hour)}</span>`).join('');
+  chart.innerHTML = `${lanes}<div class="timeline-axis">${axis}</div>`;
+
+  list.innerHTML = sessions.map(session => `
+    <div class="timeline-session">
+      <span>${formatClock(session.start)} - ${formatClock(session.end)}</span>
+      <span class="timeline-session-domain">
+        <span class="category-dot" style="background: ${getColor(session)}"></span>
+        ${escapeHtml(session.domain)}
+      </span>
+      <span>${formatTime(session.time)}</span>
+    </div>
+  `).join('');
+}
+
+// Display focus sessions in the range, newest first
+function displayFocusHistory(keys) {
+  const sessions = keys
+    .flatMap(key => webTimeDataCache.focusSessions?.[key] || [])
+    .sort((a, b) => b.start - a.start);
+  const totalTime = sessions.reduce((sum, session) => sum + (session.end - session.start), 0);
+  const completed = sessions.filter(session => session.completed).length;
+
+  document.getElementById('focus-stats').textContent = sessions.length === 0 ? '' :
+    `${sessions.length} session${sessions.length !== 1 ? 's' : ''} · ${formatTime(totalTime)} · ${completed} completed`;
+
+  const list = document.getElementById('focus-list');
+  if (sessions.length === 0) {
+    list.innerHTML = '<div class="focus-empty">No focus sessions in this range</div>';
+    return;
+  }
+
+  list.innerHTML = sessions.map(session => {
+    const started = new Date(session.start).toLocaleString('en-US', {
+      weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+    const sites = getSessionBreakdown(session).slice(0, 5)
+      .map(entry => `${escapeHtml(entry.domain)} ${formatTime(entry.time)}`)
+      .join(', ');
+    return `
+      <div class="focus-session">
+        <span>${started}</span>
+        <span>${formatTime(session.end - session.start)}</span>
+        <span class="focus-session-sites">${sites || 'No site activity'}</span>
+        <span class="focus-session-status ${session.completed ? 'completed' : ''}">
+          ${session.completed ? 'Completed' : `Stopped (${session.plannedMinutes}m planned)`}
+        </span>
+      </div>
+    `;
+  }).join('');
+}
+
+// Sorting and search for the site table
+function setupSiteTable() {
+  document.querySelectorAll('.site-table th').forEach(th => {
+    th.addEventListener('click', () => {
+      const key = th.dataset.sort;
+      tableSort = tableSort.key === key
+        ? { key, ascending: !tableSort.ascending }
+        : { key, ascending: key === 'domain' || key === 'category' };
+      displaySiteTable(getDateKeysInRange(rangeStart, rangeEnd));
+    });
+  });
+
+  document.getElementById('site-search').addEventListener('input', () => {
+    displaySiteTable(getDateKeysInRange(rangeStart, rangeEnd));
+  });
+}
+
+// Display every site in the range - no cap on rows
+function displaySiteTable(keys) {
+  const query = document.getElementById('site-search').value.trim().toLowerCase();
+  const sites = aggregateSites(keys);
+  const totalTime = Object.values(sites).reduce((sum, site) => sum + site.time, 0);
+
+  const rows = Object.entries(sites)
+    .map(([domain, data]) => {
+      const hosts = Object.keys(data.hosts).sort((a, b) => data.hosts[b] - data.hosts[a]);
+      return {
+        domain,
+        hosts,
+        category: getCategory(hosts[0], settingsCache),
+        time: data.time,
+        share: totalTime ? data.time / totalTime : 0,
+        visits: data.visits,
+        days: data.days,
+        favicon: getFaviconUrl(hosts[0], webTimeDataCache.sites[hosts[0]]?.favicon)
+      };
+    })
+    .filter(row => !query || row.domain.toLowerCase().includes(query) ||
+      row.hosts.some(host => host.includes(query)) || row.category.toLowerCase().includes(query));
+
+  const { key, ascending } = tableSort;
+  rows.sort((a, b) => {
+    const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+    return ascending ? order : -order;
+  });
+
+  document.querySelectorAll('.site-table th').forEach(th => {
+    th.classList.toggle('sorted', th.dataset.sort === key);
+    th.classList.toggle('asc', th.dataset.sort === key && ascending);
+  });
+
+  const body = document.getElementById('site-table-body');
+  if (rows.length === 0) {
+    body.innerHTML = `<tr><td colspan="6" class="empty-row">${query ? 'No matching sites' : 'No activity in this range'}</td></tr>`;
+    return;
+  }
+
+  body.innerHTML = rows.map(row => {
+    const safeFavicon = sanitizeUrl(row.favicon);
+    return `
+      <tr>
+        <td><span class="site-cell" title="${escapeHtml(row.hosts.join(', '))}">${safeFavicon ? `<img src="${safeFavicon}" alt="">` : ''}${escapeHtml(row.domain)}</span></td>
+        <td>${escapeHtml(row.category)}</td>
+        <td class="numeric">${formatTime(row.time)}</td>
+        <td class="numeric">${(row.share * 100).toFixed(1)}%</td>
+        <td class="numeric">${row.visits}</td>
+        <td class="numeric">${row.days}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// Export the selected range in any format
+function setupExport() {
+  const formatSelect = document.getElementById('export-format');
+  Object.entries(EXPORT_FORMATS).forEach(([value, { label }]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    formatSelect.appendChild(option);
+  });
+
+  document.getElementById('export-btn').addEventListener('click', () => {
+    if (!webTimeDataCache) return;
+    exportWebTimeData(formatSelect.value, webTimeDataCache, getDateKeysInRange(rangeStart, rangeEnd), settingsCache);
+  });
+}
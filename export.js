@@ -0,0 +1,237 @@
+// Quipu Pacha exports
+// Builds JSON, CSV and report files for a range of date keys - used by the popup and dashboard
+
+const EXPORT_FORMATS = {
+  json: { label: 'JSON backup', extension: 'json', type: 'application/json' },
+  'daily-csv': { label: 'CSV - daily by site', extension: 'csv', type: 'text/csv' },
+  'hourly-csv': { label: 'CSV - hourly totals', extension: 'csv', type: 'text/csv' },
+  'report-md': { label: 'Weekly report (Markdown)', extension: 'md', type: 'text/markdown' },
+  'report-html': { label: 'Weekly report (HTML)', extension: 'html', type: 'text/html' }
+};
+
+const REPORT_TOP_SITES = 10;
+
+// Build and download an export
+function exportWebTimeData(format, webTimeData, keys, settings) {
+  const { extension, type } = EXPORT_FORMATS[format];
+  const builders = {
+    json: () => JSON.stringify({ exportDate: new Date().toISOString(), data: buildRangeData(webTimeData, keys) }, null, 2),
+    'daily-csv': () => buildDailyCsv(webTimeData, keys),
+    'hourly-csv': () => buildHourlyCsv(webTimeData, keys),
+    'report-md': () => buildReport(webTimeData, keys, settings, 'markdown'),
+    'report-html': () => buildReport(webTimeData, keys, settings, 'html')
+  };
+
+  const range = keys.length > 1 ? `${keys[0]}-to-${keys[keys.length - 1]}` : keys[0];
+  downloadFile(builders[format](), `quipu-pacha-${range}.${extension}`, type);
+}
+
+// Save text content as a file
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+// Copy of webtime_data limited to the given days, with site totals recomputed for that range
+function buildRangeData(webTimeData, keys) {
+  const dailyStats = {};
+  const hourlyStats = {};
+  const domainHourlyStats = {};
+  const focusSessions = {};
+  const sites = {};
+
+  keys.forEach(key => {
+    if (webTimeData.dailyStats[key]) {
+      dailyStats[key] = webTimeData.dailyStats[key];
+      Object.entries(webTimeData.dailyStats[key]).forEach(([domain, data]) => {
+        if (!sites[domain]) {
+          const site = webTimeData.sites[domain] || {};
+          sites[domain] = { totalTime: 0, visits: 0, favicon: site.favicon || '', firstVisit: site.firstVisit || null };
+        }
+        sites[domain].totalTime += data.time;
+        sites[domain].visits += data.visits;
+        if (data.passive) {
+          sites[domain].passiveTime = (sites[domain].passiveTime || 0) + data.passive;
+        }
+      });
+    }
+    if (webTimeData.hourlyStats?.[key]) {
+      hourlyStats[key] = webTimeData.hourlyStats[key];
+    }
+    if (webTimeData.domainHourlyStats?.[key]) {
+      domainHourlyStats[key] = webTimeData.domainHourlyStats[key];
+    }
+    if (webTimeData.focusSessions?.[key]) {
+      focusSessions[key] = webTimeData.focusSessions[key];
+    }
+  });
+
+  // Months already rolled up by the retention policy are kept whole if they touch the range
+  const firstMonth = keys[0].slice(0, 7);
+  const lastMonth = keys[keys.length - 1].slice(0, 7);
+  const monthlyStats = Object.fromEntries(
+    Object.entries(webTimeData.monthlyStats || {}).filter(([month]) => month >= firstMonth && month <= lastMonth)
+  );
+
+  return {
+    version: SCHEMA_VERSION,
+    sites,
+    dailyStats,
+    hourlyStats,
+    domainHourlyStats,
+    monthlyStats,
+    focusSessions,
+    lastUpdated: webTimeData.lastUpdated
+  };
+}
+
+// Quote a CSV field when needed
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV rows from a header and an array of arrays
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Convert milliseconds to minutes with two decimals
+function toMinutes(ms) {
+  return (ms / 60000).toFixed(2);
+}
+
+// One row per date and domain
+function buildDailyCsv(webTimeData, keys) {
+  const rows = [];
+  keys.forEach(key => {
+    Object.entries(webTimeData.dailyStats[key] || {})
+      .sort((a, b) => b[1].time - a[1].time)
+      .forEach(([domain, data]) => {
+        rows.push([key, domain, Math.round(data.time / 1000), toMinutes(data.time), data.visits]);
+      });
+  });
+  return toCsv(['date', 'domain', 'seconds', 'minutes', 'visits'], rows);
+}
+
+// One row per date and hour (all sites combined)
+function buildHourlyCsv(webTimeData, keys) {
+  const rows = [];
+  keys.forEach(key => {
+    const hours = webTimeData.hourlyStats?.[key] || {};
+    for (let hour = 0; hour < 24; hour++) {
+      if (hours[hour]) {
+        rows.push([key, hour, Math.round(hours[hour] / 1000), toMinutes(hours[hour])]);
+      }
+    }
+  });
+  return toCsv(['date', 'hour', 'seconds', 'minutes'], rows);
+}
+
+// Group date keys into Monday-based weeks
+function groupKeysByWeek(keys) {
+  const weeks = new Map();
+  keys.forEach(key => {
+    const monday = parseDateKey(key);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    const weekKey = getDateKey(monday);
+    if (!weeks.has(weekKey)) weeks.set(weekKey, []);
+    weeks.get(weekKey).push(key);
+  });
+  return [...weeks.values()];
+}
+
+// Totals, per-day breakdown and top sites for a set of days
+function summarizeDays(webTimeData, keys, settings) {
+  const sites = {};
+  const days = keys.map(key => {
+    const dayData = webTimeData.dailyStats[key] || {};
+    let total = 0;
+    Object.entries(dayData).forEach(([domain, data]) => {
+      sites[domain] = (sites[domain] || 0) + data.time;
+      total += data.time;
+    });
+    return { key, total };
+  });
+
+  const total = days.reduce((sum, day) => sum + day.total, 0);
+  const activeDays = days.filter(day => day.total > 0).length;
+  const topSites = Object.entries(sites)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, REPORT_TOP_SITES)
+    .map(([domain, time]) => ({ domain, time, category: getCategory(domain, settings) }));
+  const score = getAverageProductivityScore(keys.map(key => webTimeData.dailyStats[key]).filter(Boolean), settings);
+
+  return { days, total, average: activeDays ? total / activeDays : 0, topSites, score };
+}
+
+// Human readable weekly report in Markdown or HTML
+function buildReport(webTimeData, keys, settings, format) {
+  const formatDay = key => parseDateKey(key).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  const overall = summarizeDays(webTimeData, keys, settings);
+  const weeks = groupKeysByWeek(keys).map(weekKeys => ({
+    title: `Week of ${formatDay(weekKeys[0])}`,
+    ...summarizeDays(webTimeData, weekKeys, settings)
+  }));
+  const title = `Quipu Pacha report: ${keys[0]} to ${keys[keys.length - 1]}`;
+
+  if (format === 'markdown') {
+    const lines = [
+      `# ${title}`,
+      '',
+      `- **Total:** ${formatTime(overall.total)}`,
+      `- **Daily average:** ${formatTime(overall.average)}`,
+      `- **Productivity score:** ${overall.score ?? '-'}`,
+      ''
+    ];
+    weeks.forEach(week => {
+      lines.push(`## ${week.title}`, '', `Total: ${formatTime(week.total)} - daily average ${formatTime(week.average)}`, '');
+      lines.push('| Day | Time |', '| --- | ---: |');
+      week.days.forEach(day => lines.push(`| ${formatDay(day.key)} | ${formatTime(day.total)} |`));
+      lines.push('', '| # | Site | Category | Time |', '| ---: | --- | --- | ---: |');
+      week.topSites.forEach((site, i) => lines.push(`| ${i + 1} | ${site.domain} | ${site.category} | ${formatTime(site.time)} |`));
+      lines.push('');
+    });
+    return lines.join('\n');
+  }
+
+  const escape = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const sections = weeks.map(week => `
+  <h2>${escape(week.title)}</h2>
+  <p>Total: ${formatTime(week.total)} - daily average ${formatTime(week.average)}</p>
+  <table>
+    <tr><th>Day</th><th class="num">Time</th></tr>
+    ${week.days.map(day => `<tr><td>${escape(formatDay(day.key))}</td><td class="num">${formatTime(day.total)}</td></tr>`).join('\n    ')}
+  </table>
+  <table>
+    <tr><th>#</th><th>Site</th><th>Category</th><th class="num">Time</th></tr>
+    ${week.topSites.map((site, i) => `<tr><td>${i + 1}</td><td>${escape(site.domain)}</td><td>${escape(site.category)}</td><td class="num">${formatTime(site.time)}</td></tr>`).join('\n    ')}
+  </table>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escape(title)}</title>
+  <style>
+    body { font-family: -apple-system, 'Helvetica Neue', sans-serif; max-width: 720px; margin: 32px auto; color: #000; }
+    table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #E5E5EA; }
+    .num { text-align: right; }
+  </style>
+</head>
+<body>
+  <h1>${escape(title)}</h1>
+  <p>Total: ${formatTime(overall.total)} - daily average ${formatTime(overall.average)} - productivity score ${overall.score ?? '-'}</p>
+${sections}
+</body>
+</html>
+`;
+}
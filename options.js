@@ -0,0 +1,846 @@
+// Quipu Pacha Options Page
+// Edits settings stored locally in chrome.storage.local
+
+document.addEventListener('DOMContentLoaded', init);
+
+let pendingImport = null;
+
+const RULE_TYPE_LABELS = {
+  exact: 'Domain',
+  wildcard: 'Wildcard',
+  regex: 'Regex'
+};
+
+async function init() {
+  setupTrackingRules();
+  setupTrackingHours();
+  setupBadge();
+  setupLimits();
+  setupGoals();
+  setupFocusSessions();
+  setupCategories();
+  setupSiteGroups();
+  setupPageDetails();
+  setupPassiveTime();
+  setupRetention();
+  setupSync();
+  setupExternalApps();
+  setupHistoryEditing();
+  setupImport();
+  await loadSettings();
+  prefillLimit();
+}
+
+// Render all settings sections
+async function loadSettings() {
+  try {
+    const settings = await getSettings();
+    displayTrackingRules(settings);
+    displayTrackingHours(settings);
+    document.getElementById('badge-mode').value = settings.badgeMode;
+    displayLimits(settings);
+    displayGoals(settings);
+    displayFocusSessions(settings);
+    displayCategories(settings);
+    displaySiteGroups(settings);
+    displayPageDetails(settings);
+    displayPassiveTime(settings);
+    document.getElementById('retention-days').value = String(settings.retentionDays);
+    // Days rolled into monthly totals, by retention or to free space, can't be edited
+    const { [STORAGE_STATUS_KEY]: storageStatus } = await chrome.storage.local.get([STORAGE_STATUS_KEY]);
+    const cutoffKeys = [getRetentionCutoffKey(settings.retentionDays), storageStatus?.prunedBefore].filter(Boolean);
+    document.getElementById('edit-date').min = cutoffKeys.sort().pop() || '';
+    await displaySync(settings);
+    displayExternalApps(settings);
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+}
+
+// Tracking mode and rule list handlers
+function setupTrackingRules() {
+  document.querySelectorAll('input[name="tracking-mode"]').forEach(radio => {
+    radio.addEventListener('change', async () => {
+      await saveSettings({ allowlistOnly: radio.value === 'allowlist' });
+    });
+  });
+
+  document.querySelectorAll('input[name="window-mode"]').forEach(radio => {
+    radio.addEventListener('change', async () => {
+      await saveSettings({ windowMode: radio.value });
+    });
+  });
+
+  document.querySelectorAll('.rule-form').forEach(form => {
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const input = form.querySelector('input');
+      const rule = parseRule(input.value);
+      if (!rule) {
+        input.setCustomValidity('Enter a domain, a wildcard or a valid /regex/');
+        input.reportValidity();
+        return;
+      }
+      input.setCustomValidity('');
+      await addRule(form.dataset.list, rule);
+      input.value = '';
+    });
+  });
+}
+
+// Add a rule to a list, ignoring duplicates
+async function addRule(listName, rule) {
+  const settings = await getSettings();
+  const rules = settings[listName];
+  if (!rules.some(r => r.type === rule.type && r.pattern === rule.pattern)) {
+    await saveSettings({ [listName]: [...rules, rule] });
+  }
+  await loadSettings();
+}
+
+// Remove a rule from a list by index
+async function removeRule(listName, index) {
+  const settings = await getSettings();
+  const rules = settings[listName].filter((_, i) => i !== index);
+  await saveSettings({ [listName]: rules });
+  await loadSettings();
+}
+
+// Display tracking mode and both rule lists
+function displayTrackingRules(settings) {
+  const mode = settings.allowlistOnly ? 'allowlist' : 'blocklist';
+  document.querySelector(`input[name="tracking-mode"][value="${mode}"]`).checked = true;
+  document.querySelector(`input[name="window-mode"][value="${settings.windowMode}"]`).checked = true;
+
+  displayRuleList('blockRules', settings.blockRules);
+  displayRuleList('allowRules', settings.allowRules);
+}
+
+// Display a single rule list
+function displayRuleList(listName, rules) {
+  const container = document.getElementById(listName);
+  container.textContent = '';
+
+  if (rules.length === 0) {
+    container.appendChild(createEmptyRow('No rules'));
+    return;
+  }
+
+  rules.forEach((rule, index) => {
+    container.appendChild(createListRow(
+      RULE_TYPE_LABELS[rule.type] || rule.type,
+      formatRule(rule),
+      () => removeRule(listName, index)
+    ));
+  });
+}
+
+// Idle timeout, heartbeat interval and tracking schedule
+function setupTrackingHours() {
+  [['idle-seconds', 'idleSeconds'], ['heartbeat-seconds', 'heartbeatSeconds']].forEach(([id, key]) => {
+    document.getElementById(id).addEventListener('change', (event) => {
+      saveSettings({ [key]: Number(event.target.value) });
+    });
+  });
+  document.getElementById('schedule-enabled').addEventListener('change', (event) => {
+    saveSettings({ scheduleEnabled: event.target.checked });
+  });
+  [['schedule-start', 'scheduleStart'], ['schedule-end', 'scheduleEnd']].forEach(([id, key]) => {
+    document.getElementById(id).addEventListener('change', (event) => {
+      if (event.target.value) {
+        saveSettings({ [key]: event.target.value });
+      }
+    });
+  });
+  document.getElementById('schedule-days').addEventListener('change', () => {
+    const days = [...document.querySelectorAll('#schedule-days input:checked')].map(input => Number(input.value));
+    saveSettings({ scheduleDays: days });
+  });
+}
+
+// Display idle, heartbeat and schedule settings
+function displayTrackingHours(settings) {
+  document.getElementById('idle-seconds').value = String(settings.idleSeconds);
+  document.getElementById('heartbeat-seconds').value = String(settings.heartbeatSeconds);
+  document.getElementById('schedule-enabled').checked = settings.scheduleEnabled;
+  document.getElementById('schedule-start').value = settings.scheduleStart;
+  document.getElementById('schedule-end').value = settings.scheduleEnd;
+  document.querySelectorAll('#schedule-days input').forEach(input => {
+    input.checked = settings.scheduleDays.includes(Number(input.value));
+  });
+}
+
+// Toolbar badge mode picker
+function setupBadge() {
+  document.getElementById('badge-mode').addEventListener('change', (event) => {
+    saveSettings({ badgeMode: event.target.value });
+  });
+}
+
+// Daily limit form handlers
+function setupLimits() {
+  const typeSelect = document.getElementById('limit-type');
+  const targetInput = document.getElementById('limit-target');
+  
+  typeSelect.addEventListener('change', () => {
+    targetInput.placeholder = typeSelect.value === 'category' ? 'News' : 'youtube.com';
+  });
+
+  document.getElementById('limit-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const type = typeSelect.value;
+    const rawTarget = targetInput.value.trim();
+    const target = type === 'domain' ? rawTarget.toLowerCase().replace(/^www\./, '') : rawTarget;
+    const minutes = Number(document.getElementById('limit-minutes').value);
+    if (!target || !(minutes > 0)) return;
+
+    const settings = await getSettings();
+    // One limit per target - adding again replaces the budget
+    const limits = settings.limits.filter(l => !(l.type === type && l.target === target));
+    await saveSettings({ limits: [...limits, { type, target, minutes }] });
+    targetInput.value = '';
+    await loadSettings();
+  });
+}
+
+// Fill in the limit form for a site passed as ?limit= (from the page context menu)
+function prefillLimit() {
+  const domain = new URLSearchParams(location.search).get('limit');
+  if (!domain) return;
+
+  document.getElementById('limit-type').value = 'domain';
+  document.getElementById('limit-target').value = domain;
+  document.getElementById('daily-limits').scrollIntoView();
+  document.getElementById('limit-minutes').focus();
+}
+
+// Display configured limits
+function displayLimits(settings) {
+  const container = document.getElementById('limit-list');
+  container.textContent = '';
+
+  if (settings.limits.length === 0) {
+    container.appendChild(createEmptyRow('No limits'));
+    return;
+  }
+
+  settings.limits.forEach((limit, index) => {
+    container.appendChild(createListRow(
+      limit.type === 'category' ? 'Category' : 'Site',
+      `${limit.target} - ${formatTime(limit.minutes * 60 * 1000)} per day`,
+      async () => {
+        const current = await getSettings();
+        await saveSettings({ limits: current.limits.filter((_, i) => i !== index) });
+        await loadSettings();
+      }
+    ));
+  });
+}
+
+// Goal form handlers
+function setupGoals() {
+  const typeSelect = document.getElementById('goal-type');
+  const targetInput = document.getElementById('goal-target');
+
+  typeSelect.addEventListener('change', () => {
+    targetInput.placeholder = typeSelect.value === 'category' ? 'Social' : 'docs.python.org';
+  });
+
+  document.getElementById('goal-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const type = typeSelect.value;
+    const rawTarget = targetInput.value.trim();
+    const target = type === 'domain' ? rawTarget.toLowerCase().replace(/^www\./, '') : rawTarget;
+    const comparison = document.getElementById('goal-comparison').value;
+    const minutes = Number(document.getElementById('goal-minutes').value);
+    if (!target || !(minutes > 0)) return;
+
+    const settings = await getSettings();
+    // One goal per target and direction - adding again replaces the amount
+    const goals = settings.goals.filter(g => !(g.type === type && g.target === target && g.comparison === comparison));
+    await saveSettings({ goals: [...goals, { type, target, comparison, minutes }] });
+    targetInput.value = '';
+    await loadSettings();
+  });
+
+  document.getElementById('weekly-digest').addEventListener('change', (event) => {
+    saveSettings({ weeklyDigest: event.target.checked });
+  });
+}
+
+// Display configured goals
+function displayGoals(settings) {
+  const container = document.getElementById('goal-list');
+  container.textContent = '';
+  document.getElementById('weekly-digest').checked = settings.weeklyDigest;
+
+  if (settings.goals.length === 0) {
+    container.appendChild(createEmptyRow('No goals'));
+    return;
+  }
+
+  settings.goals.forEach((goal, index) => {
+    container.appendChild(createListRow(
+      goal.type === 'category' ? 'Category' : 'Site',
+      `${formatGoal(goal)} per day`,
+      async () => {
+        const current = await getSettings();
+        await saveSettings({ goals: current.goals.filter((_, i) => i !== index) });
+        await loadSettings();
+      }
+    ));
+  });
+}
+
+// Site category form handlers
+function setupCategories() {
+  document.getElementById('category-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const domainInput = document.getElementById('category-domain');
+    const nameInput = document.getElementById('category-name');
+    const domain = domainInput.value.trim().toLowerCase().replace(/^www\./, '');
+    const name = nameInput.value.trim();
+    if (!domain || !name) return;
+
+    const settings = await getSettings();
+    await saveSettings({ siteCategories: { ...settings.siteCategories, [domain]: name } });
+    domainInput.value = '';
+    await loadSettings();
+  });
+}
+
+// Display assigned categories
+function displayCategories(settings) {
+  const container = document.getElementById('category-list');
+  container.textContent = '';
+
+  const names = getCategoryNames(settings);
+  const datalist = document.getElementById('category-names');
+  datalist.textContent = '';
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    datalist.appendChild(option);
+  });
+
+  displayCategoryWeights(names, settings);
+
+  const entries = Object.entries(settings.siteCategories).sort(([a], [b]) => a.localeCompare(b));
+  if (entries.length === 0) {
+    container.appendChild(createEmptyRow('No custom assignments'));
+    return;
+  }
+
+  entries.forEach(([domain, name]) => {
+    container.appendChild(createListRow(name, domain, async () => {
+      const current = await getSettings();
+      const siteCategories = { ...current.siteCategories };
+      delete siteCategories[domain];
+      await saveSettings({ siteCategories });
+      await loadSettings();
+    }));
+  });
+}
+
+// Subdomain grouping toggle and alias form
+function setupSiteGroups() {
+  document.getElementById('group-subdomains').addEventListener('change', (event) => {
+    saveSettings({ groupSubdomains: event.target.checked });
+  });
+
+  document.getElementById('group-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const hostInput = document.getElementById('group-host');
+    const nameInput = document.getElementById('group-name');
+    const host = normalizeDomainInput(hostInput.value);
+    const name = nameInput.value.trim();
+    if (!host || !name) return;
+
+    const settings = await getSettings();
+    await saveSettings({ siteGroups: { ...settings.siteGroups, [host]: name } });
+    hostInput.value = '';
+    await loadSettings();
+  });
+}
+
+// Display the grouping toggle and aliases
+function displaySiteGroups(settings) {
+  document.getElementById('group-subdomains').checked = settings.groupSubdomains;
+
+  const container = document.getElementById('group-list');
+  container.textContent = '';
+  const entries = Object.entries(settings.siteGroups).sort(([a], [b]) => a.localeCompare(b));
+  if (entries.length === 0) {
+    container.appendChild(createEmptyRow('No aliases'));
+    return;
+  }
+
+  entries.forEach(([host, name]) => {
+    container.appendChild(createListRow(name, host, async () => {
+      const current = await getSettings();
+      const siteGroups = { ...current.siteGroups };
+      delete siteGroups[host];
+      await saveSettings({ siteGroups });
+      await loadSettings();
+    }));
+  });
+}
+
+// Allow another extension to use the messaging API
+function setupExternalApps() {
+  document.getElementById('external-app-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const idInput = document.getElementById('external-app-id');
+    const nameInput = document.getElementById('external-app-name');
+    const id = idInput.value.trim();
+    if (!/^[a-p]{32}$/.test(id)) return;
+
+    const settings = await getSettings();
+    await saveSettings({ externalApps: { ...settings.externalApps, [id]: nameInput.value.trim() || 'Extension' } });
+    idInput.value = '';
+    nameInput.value = '';
+    await loadSettings();
+  });
+}
+
+// Display the allowed extensions
+function displayExternalApps(settings) {
+  const container = document.getElementById('external-app-list');
+  container.textContent = '';
+  const entries = Object.entries(settings.externalApps).sort((a, b) => a[1].localeCompare(b[1]));
+  if (entries.length === 0) {
+    container.appendChild(createEmptyRow('No extensions allowed'));
+    return;
+  }
+
+  entries.forEach(([id, name]) => {
+    container.appendChild(createListRow(name, id, async () => {
+      const current = await getSettings();
+      const externalApps = { ...current.externalApps };
+      delete externalApps[id];
+      await saveSettings({ externalApps });
+      await loadSettings();
+    }));
+  });
+}
+
+// Display a weight picker for every category
+function displayCategoryWeights(names, settings) {
+  const container = document.getElementById('weight-list');
+  container.textContent = '';
+
+  names.forEach(name => {
+    const item = document.createElement('div');
+    item.className = 'rule-item';
+
+    const dot = document.createElement('span');
+    dot.className = 'category-dot';
+    dot.style.background = getCategoryColor(name);
+
+    const label = document.createElement('span');
+    label.className = 'rule-pattern';
+    label.textContent = name;
+
+    const select = document.createElement('select');
+    CATEGORY_WEIGHTS.forEach(weight => {
+      const option = document.createElement('option');
+      option.value = weight;
+      option.textContent = weight.charAt(0).toUpperCase() + weight.slice(1);
+      select.appendChild(option);
+    });
+    select.value = getCategoryWeight(name, settings);
+    select.addEventListener('change', async () => {
+      const current = await getSettings();
+      await saveSettings({ categoryWeights: { ...current.categoryWeights, [name]: select.value } });
+    });
+
+    item.append(dot, label, select);
+    container.appendChild(item);
+  });
+}
+
+// Build a "label | text | Remove" row
+function createListRow(label, text, onRemove) {
+  const item = document.createElement('div');
+  item.className = 'rule-item';
+
+  const type = document.createElement('span');
+  type.className = 'rule-type';
+  type.textContent = label;
+
+  const pattern = document.createElement('span');
+  pattern.className = 'rule-pattern';
+  pattern.textContent = text;
+
+  const remove = document.createElement('button');
+  remove.className = 'remove-btn';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', onRemove);
+
+  item.append(type, pattern, remove);
+  return item;
+}
+
+// Build a placeholder row for an empty list
+function createEmptyRow(text) {
+  const empty = document.createElement('div');
+  empty.className = 'rule-empty';
+  empty.textContent = text;
+  return empty;
+}
+
+// Focus session lengths and soft-block options - the block list uses the shared rule form
+function setupFocusSessions() {
+  [['focus-minutes', 'focusMinutes'], ['break-minutes', 'breakMinutes']].forEach(([id, key]) => {
+    document.getElementById(id).addEventListener('change', async (event) => {
+      if (event.target.checkValidity() && event.target.value !== '') {
+        await saveSettings({ [key]: Number(event.target.value) });
+      }
+    });
+  });
+  document.getElementById('focus-block-distracting').addEventListener('change', (event) => {
+    saveSettings({ focusBlockDistracting: event.target.checked });
+  });
+}
+
+// Display focus session settings
+function displayFocusSessions(settings) {
+  document.getElementById('focus-minutes').value = settings.focusMinutes;
+  document.getElementById('break-minutes').value = settings.breakMinutes;
+  document.getElementById('focus-block-distracting').checked = settings.focusBlockDistracting;
+  displayRuleList('focusBlockRules', settings.focusBlockRules);
+}
+
+// Path and title tracking toggles
+function setupPageDetails() {
+  document.getElementById('track-paths').addEventListener('change', (event) => {
+    saveSettings({ trackPaths: event.target.checked });
+  });
+  document.getElementById('path-depth').addEventListener('change', (event) => {
+    saveSettings({ pathDepth: Number(event.target.value) });
+  });
+  document.getElementById('track-titles').addEventListener('change', (event) => {
+    saveSettings({ trackTitles: event.target.checked });
+  });
+
+  document.getElementById('clear-pages-btn').addEventListener('click', async () => {
+    if (confirm('Delete all recorded paths and page titles? Site totals are kept.')) {
+      await sendBackgroundMessage({ action: 'clearPageDetails' });
+      document.getElementById('pages-status').textContent = 'Page details deleted.';
+    }
+  });
+}
+
+// Display page detail settings
+function displayPageDetails(settings) {
+  document.getElementById('track-paths').checked = settings.trackPaths;
+  document.getElementById('path-depth').value = String(settings.pathDepth);
+  document.getElementById('track-titles').checked = settings.trackTitles;
+}
+
+// Passive time toggles
+// Picture-in-picture needs host access for its content script, requested from the click itself
+function setupPassiveTime() {
+  document.getElementById('track-passive').addEventListener('change', async (event) => {
+    await saveSettings({ trackPassive: event.target.checked });
+    displayPassiveTime(await getSettings());
+  });
+
+  document.getElementById('track-pip').addEventListener('change', async (event) => {
+    const status = document.getElementById('passive-status');
+    status.textContent = '';
+
+    if (event.target.checked) {
+      const granted = await chrome.permissions.request({ origins: PIP_ORIGINS });
+      if (!granted) {
+        event.target.checked = false;
+        status.textContent = 'Site access was not granted.';
+        return;
+      }
+      status.textContent = 'Applies to pages opened or reloaded from now on.';
+    } else {
+      await chrome.permissions.remove({ origins: PIP_ORIGINS });
+    }
+    await saveSettings({ trackPictureInPicture: event.target.checked });
+  });
+}
+
+// Display passive time settings
+function displayPassiveTime(settings) {
+  document.getElementById('track-passive').checked = settings.trackPassive;
+  const pip = document.getElementById('track-pip');
+  pip.checked = settings.trackPictureInPicture;
+  pip.disabled = !settings.trackPassive;
+}
+
+// Retention period picker
+function setupRetention() {
+  document.getElementById('retention-days').addEventListener('change', (event) => {
+    saveSettings({ retentionDays: Number(event.target.value) });
+  });
+}
+
+// Sync mode, device name, folder and passphrase
+// The folder is picked here (a click is required) and used by the background's periodic sync
+function setupSync() {
+  document.querySelectorAll('input[name="sync-mode"]').forEach(radio => {
+    radio.addEventListener('change', async () => {
+      await saveSettings({ syncMode: radio.value });
+      await loadSettings();
+    });
+  });
+
+  document.getElementById('device-name-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const name = document.getElementById('device-name').value.trim();
+    if (!name) return;
+    const device = await getDeviceInfo();
+    await chrome.storage.local.set({ [DEVICE_KEY]: { ...device, name } });
+    setSyncStatus('Device renamed - other devices see it after the next sync.');
+  });
+
+  document.getElementById('sync-folder-btn').addEventListener('click', async () => {
+    try {
+      // A folder picked earlier only needs its access renewed
+      const current = await getSyncFolder();
+      if (current && await current.requestPermission({ mode: 'readwrite' }) === 'granted') {
+        await displaySync(await getSettings());
+        return;
+      }
+      await setSyncFolder(await window.showDirectoryPicker({ id: 'quipu-pacha-sync', mode: 'readwrite' }));
+      await displaySync(await getSettings());
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error choosing sync folder:', error);
+        setSyncStatus('Could not use that folder.');
+      }
+    }
+  });
+
+  document.getElementById('sync-passphrase-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const input = document.getElementById('sync-passphrase');
+    if (!input.value) return;
+    await chrome.storage.local.set({ [SYNC_SECRET_KEY]: input.value });
+    input.value = '';
+    input.placeholder = 'Passphrase saved';
+  });
+
+  document.getElementById('sync-now-btn').addEventListener('click', async () => {
+    setSyncStatus('Syncing...');
+    try {
+      await sendBackgroundMessage({ action: 'syncNow' });
+      await displaySync(await getSettings());
+    } catch (error) {
+      console.error('Error syncing:', error);
+      setSyncStatus(error.message);
+    }
+  });
+
+  document.getElementById('forget-devices-btn').addEventListener('click', async () => {
+    if (!confirm('Remove the totals synced from other devices? They come back on the next sync if those devices still share them.')) return;
+    await sendBackgroundMessage({ action: 'forgetDevices' });
+    setSyncStatus('Other devices forgotten.');
+  });
+}
+
+// Display sync settings and the last sync's outcome
+async function displaySync(settings) {
+  document.querySelector(`input[name="sync-mode"][value="${settings.syncMode}"]`).checked = true;
+  document.getElementById('sync-folder-options').hidden = settings.syncMode !== 'folder';
+  document.getElementById('sync-now-btn').disabled = settings.syncMode === 'off';
+
+  const device = await getDeviceInfo();
+  document.getElementById('device-name').value = device.name;
+
+  const folder = await getSyncFolder();
+  document.getElementById('sync-folder-name').textContent = folder ? folder.name : 'No folder chosen';
+  const { [SYNC_SECRET_KEY]: passphrase, [SYNC_STATUS_KEY]: status } =
+    await chrome.storage.local.get([SYNC_SECRET_KEY, SYNC_STATUS_KEY]);
+  document.getElementById('sync-passphrase').placeholder = passphrase
+    ? 'Passphrase saved - enter a new one to change it'
+    : 'Passphrase - the same on every device';
+
+  if (settings.syncMode === 'off') {
+    setSyncStatus('');
+  } else if (status?.error) {
+    setSyncStatus(`Last sync failed: ${status.error}`);
+  } else if (status?.lastSync) {
+    const devices = `${status.devices} other device${status.devices !== 1 ? 's' : ''}`;
+    setSyncStatus(`Last synced ${new Date(status.lastSync).toLocaleString()} with ${devices}.`);
+  } else {
+    setSyncStatus('Not synced yet.');
+  }
+}
+
+// Show a short status line under the sync controls
+function setSyncStatus(text) {
+  document.getElementById('sync-status').textContent = text;
+}
+
+// Normalize a typed site the way limits and rules store it
+function normalizeDomainInput(value) {
+  return value.trim().toLowerCase().replace(/^www\./, '');
+}
+
+// Selective deletion with undo, and manual day corrections
+function setupHistoryEditing() {
+  const status = document.getElementById('delete-status');
+  const undoBtn = document.getElementById('undo-delete-btn');
+  let undoTimer = null;
+
+  document.getElementById('delete-history-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const domain = normalizeDomainInput(document.getElementById('delete-domain').value);
+    const startKey = document.getElementById('delete-start').value;
+    const endKey = document.getElementById('delete-end').value;
+    if (!domain && !startKey && !endKey) {
+      status.textContent = 'Choose a site, a date range or both.';
+      return;
+    }
+
+    const range = startKey || endKey ? ` from ${startKey || 'the beginning'} to ${endKey || 'today'}` : '';
+    if (!confirm(`Delete ${domain || 'all sites'}${range}?`)) return;
+
+    try {
+      const { time, expiresAt } = await sendBackgroundMessage({
+        action: 'deleteHistory',
+        domains: domain ? [domain] : [],
+        startKey,
+        endKey
+      });
+      status.textContent = `Deleted ${formatTime(time)} of history.`;
+      undoBtn.hidden = false;
+      clearTimeout(undoTimer);
+      undoTimer = setTimeout(() => { undoBtn.hidden = true; }, expiresAt - Date.now());
+    } catch (error) {
+      console.error('Error deleting history:', error);
+      status.textContent = error.message;
+    }
+  });
+
+  undoBtn.addEventListener('click', async () => {
+    clearTimeout(undoTimer);
+    undoBtn.hidden = true;
+    try {
+      const restored = await sendBackgroundMessage({ action: 'undoDelete' });
+      status.textContent = restored ? 'Deletion undone.' : 'Too late to undo.';
+    } catch (error) {
+      console.error('Error undoing deletion:', error);
+      status.textContent = error.message;
+    }
+  });
+
+  // Show the recorded time once a date and site are chosen
+  const dateInput = document.getElementById('edit-date');
+  const domainInput = document.getElementById('edit-domain');
+  const minutesInput = document.getElementById('edit-minutes');
+  dateInput.max = getTodayKey();
+  const showCurrent = async () => {
+    const domain = normalizeDomainInput(domainInput.value);
+    if (!dateInput.value || !domain) return;
+    const day = await loadDay(dateInput.value);
+    minutesInput.value = Math.round((day.sites[domain]?.time || 0) / 60000);
+  };
+  dateInput.addEventListener('change', showCurrent);
+  domainInput.addEventListener('change', showCurrent);
+
+  document.getElementById('edit-day-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const editStatus = document.getElementById('edit-status');
+    const domain = normalizeDomainInput(domainInput.value);
+    try {
+      await sendBackgroundMessage({
+        action: 'editDay',
+        dateKey: dateInput.value,
+        domain,
+        time: Number(minutesInput.value) * 60000
+      });
+      editStatus.textContent = `Saved ${domain} on ${dateInput.value}.`;
+    } catch (error) {
+      console.error('Error editing day:', error);
+      editStatus.textContent = error.message;
+    }
+  });
+}
+
+// Import file picker and merge / replace buttons
+function setupImport() {
+  document.getElementById('import-file').addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    pendingImport = null;
+    setImportStatus('');
+    if (!file) {
+      document.getElementById('import-preview').hidden = true;
+      document.getElementById('import-actions').hidden = true;
+      return;
+    }
+
+    try {
+      const result = validateBackup(JSON.parse(await file.text()));
+      pendingImport = result.data;
+      await displayImportPreview(result);
+    } catch (error) {
+      await displayImportPreview({ errors: [`Could not read file: ${error.message}`], data: null });
+    }
+  });
+
+  document.getElementById('import-merge-btn').addEventListener('click', () => importData('merge'));
+  document.getElementById('import-replace-btn').addEventListener('click', () => importData('replace'));
+}
+
+// Show what a backup contains and how it overlaps with current data
+async function displayImportPreview({ errors, data, exportDate }) {
+  const preview = document.getElementById('import-preview');
+  preview.hidden = false;
+  document.getElementById('import-actions').hidden = !data;
+
+  if (!data) {
+    preview.innerHTML = errors.slice(0, 5).map(error => `<div class="error">${escapeHtml(error)}</div>`).join('')
+      + (errors.length > 5 ? `<div class="error">and ${errors.length - 5} more problems</div>` : '');
+    return;
+  }
+
+  const currentDays = (await loadWebTimeData()).dailyStats;
+  const days = Object.keys(data.dailyStats).sort();
+  const overlap = days.filter(key => currentDays[key]).length;
+  const totalTime = Object.values(data.dailyStats)
+    .reduce((sum, dayData) => sum + Object.values(dayData).reduce((daySum, d) => daySum + d.time, 0), 0);
+
+  const rows = [
+    ['Exported', exportDate ? new Date(exportDate).toLocaleString() : 'Unknown'],
+    ['Days', days.length ? `${days.length} (${days[0]} to ${days[days.length - 1]})` : '0'],
+    ['Sites', Object.keys(data.sites).length],
+    ['Time', formatTime(totalTime)],
+    ['Overlapping days', overlap]
+  ];
+  preview.innerHTML = `<dl>${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(String(value))}</dd>`).join('')}</dl>`;
+}
+
+// Merge the pending backup into current data, or replace it entirely
+async function importData(mode) {
+  if (!pendingImport) return;
+  if (mode === 'replace' && !confirm('Replace all current browsing time data with this backup? This cannot be undone.')) {
+    return;
+  }
+
+  try {
+    await sendBackgroundMessage({
+      action: mode === 'merge' ? 'mergeData' : 'replaceData',
+      data: pendingImport
+    });
+    setImportStatus(mode === 'merge' ? 'Backup merged.' : 'Data replaced with backup.');
+    pendingImport = null;
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-preview').hidden = true;
+    document.getElementById('import-actions').hidden = true;
+  } catch (error) {
+    console.error('Error importing data:', error);
+    setImportStatus('Import failed - see the console for details.');
+  }
+}
+
+// Show a short status line under the import controls
+function setImportStatus(text) {
+  document.getElementById('import-status').textContent = text;
+}
@@ -0,0 +1,28 @@
+// Quipu Pacha picture-in-picture reporter
+// Registered by the background only when passive time for picture-in-picture is enabled.
+// Tells the background when this tab starts or stops showing a picture-in-picture window.
+
+(() => {
+  const report = (active) => {
+    chrome.runtime.sendMessage({ action: 'pictureInPicture', active }).catch(() => {
+      // Extension was reloaded - nothing to report to
+    });
+  };
+  
+  // Video element picture-in-picture
+  document.addEventListener('enterpictureinpicture', () => report(true), true);
+  document.addEventListener('leavepictureinpicture', () => report(false), true);
+  
+  // Document picture-in-picture (whole-page players such as video calls)
+  window.documentPictureInPicture?.addEventListener('enter', (event) => {
+    report(true);
+    event.window.addEventListener('pagehide', () => report(false));
+  });
+  
+  // Leaving the page closes any picture-in-picture window it opened
+  window.addEventListener('pagehide', () => {
+    if (document.pictureInPictureElement || window.documentPictureInPicture?.window) {
+      report(false);
+    }
+  });
+})();
@@ -3,12 +3,27 @@
 
 document.addEventListener('DOMContentLoaded', init);
 
+const WEEK_CHART_TOP_SITES = 4;
+const WEEK_CHART_COLORS = ['#007AFF', '#FF9500', '#34C759', '#AF52DE'];
+const WEEK_CHART_OTHER_COLOR = '#C7C7CC';
+const MIN_DELTA_MS = 60 * 1000; // smaller changes aren't shown
+
 let currentTab = 'today';
 let webTimeDataCache = null;
+let settingsCache = null;
+let pathDataCache = {};
+let focusTimer = null;
+let detailDomain = null;
+let undoTimer = null;
+let deviceFilter = 'all';
+let pauseTimer = null;
 
 async function init() {
   setupTabs();
   setupButtons();
+  setupFocus();
+  setupPause();
+  setupSiteDetail();
   updateDateDisplay();
   await loadData();
 }
@@ -28,6 +43,7 @@ function setupTabs() {
     tab.addEventListener('click', () => {
       tabs.forEach(t => t.classList.remove('active'));
       document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+      detailDomain = null;
       
       tab.classList.add('active');
       currentTab = tab.dataset.tab;
@@ -41,77 +57,298 @@ function setupTabs() {
 
 // Button handlers
 function setupButtons() {
-  document.getElementById('export-btn').addEventListener('click', exportData);
+  document.getElementById('export-btn').addEventListener('click', () => {
+    const panel = document.getElementById('export-panel');
+    panel.hidden = !panel.hidden;
+  });
+  document.getElementById('export-download-btn').addEventListener('click', exportData);
+  
+  const formatSelect = document.getElementById('export-format');
+  Object.entries(EXPORT_FORMATS).forEach(([value, { label }]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    formatSelect.appendChild(option);
+  });
   document.getElementById('clear-btn').addEventListener('click', clearData);
+  document.getElementById('settings-btn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+  document.getElementById('undo-btn').addEventListener('click', undoDelete);
+  document.getElementById('device-filter').addEventListener('change', (event) => {
+    deviceFilter = event.target.value;
+    loadData();
+  });
+  document.getElementById('dashboard-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  });
+  
+  // Site row actions (rows are re-rendered, so delegate from the list containers)
+  document.querySelectorAll('.site-list').forEach(list => {
+    list.addEventListener('click', (event) => {
+      const blockBtn = event.target.closest('.site-block-btn');
+      if (blockBtn) {
+        neverTrackSite(blockBtn.dataset.domain);
+        return;
+      }
+      
+      const expandBtn = event.target.closest('.site-expand-btn');
+      if (expandBtn) {
+        const pages = expandBtn.closest('.site-item').nextElementSibling;
+        if (pages && pages.classList.contains('site-pages')) {
+          pages.hidden = !pages.hidden;
+          expandBtn.classList.toggle('expanded', !pages.hidden);
+        }
+        return;
+      }
+      
+      const row = event.target.closest('.site-item');
+      if (row) {
+        openSiteDetail(row.dataset.domain);
+      }
+    });
+  });
 }
 
 // Load and display data
 async function loadData() {
   try {
-    const data = await chrome.storage.local.get(['webtime_data']);
-    webTimeDataCache = data.webtime_data || { sites: {}, dailyStats: {} };
+    const items = await chrome.storage.local.get(null);
+    const devices = items[DEVICES_KEY] || {};
+    displayDeviceFilter(devices, items[DEVICE_KEY]);
+    webTimeDataCache = applyDeviceFilter(assembleWebTimeData(items), devices, deviceFilter);
+    pathDataCache = assemblePathData(items);
+    settingsCache = await getSettings();
     
-    displayTodayStats(webTimeDataCache);
-    displayWeekStats(webTimeDataCache);
-    displayAllTimeStats(webTimeDataCache);
+    displayTodayStats(webTimeDataCache, settingsCache);
+    displayWeekStats(webTimeDataCache, settingsCache);
+    displayAllTimeStats(webTimeDataCache, settingsCache);
     updateHeaderTotal();
+    if (detailDomain) {
+      displaySiteDetail(detailDomain);
+    }
+    await displayFocus();
+    displayPause(items[TRACKING_KEY]);
+    await displayStorageUsage();
   } catch (error) {
     console.error('Error loading data:', error);
   }
 }
 
+// Offer combined, this device or one synced device - only once another device has synced
+function displayDeviceFilter(devices, device) {
+  const select = document.getElementById('device-filter');
+  const entries = Object.entries(devices).sort((a, b) => a[1].name.localeCompare(b[1].name));
+  select.hidden = entries.length === 0;
+  if (!['all', 'local'].includes(deviceFilter) && !devices[deviceFilter]) {
+    deviceFilter = 'all';
+  }
+  
+  const options = [
+    ['all', 'All devices'],
+    ['local', device ? `${device.name} (this device)` : 'This device'],
+    ...entries.map(([id, { name }]) => [id, name])
+  ];
+  select.innerHTML = options.map(([value, label]) => `
+    <option value="${escapeHtml(value)}" ${value === deviceFilter ? 'selected' : ''}>${escapeHtml(label)}</option>
+  `).join('');
+}
+
+// Focus session controls
+function setupFocus() {
+  const preset = document.getElementById('focus-preset');
+  const minutesInput = document.getElementById('focus-minutes');
+  
+  preset.addEventListener('change', () => {
+    minutesInput.hidden = preset.value !== 'custom';
+  });
+  
+  document.getElementById('focus-start-btn').addEventListener('click', async () => {
+    const [minutes, breakMinutes] = preset.value === 'custom'
+      ? [Number(minutesInput.value), settingsCache.breakMinutes]
+      : preset.value.split('/').map(Number);
+    
+    try {
+      await sendBackgroundMessage({ action: 'startFocus', minutes, breakMinutes });
+      await displayFocus();
+    } catch (error) {
+      console.error('Error starting focus session:', error);
+      minutesInput.setCustomValidity(error.message);
+      minutesInput.reportValidity();
+    }
+  });
+  
+  minutesInput.addEventListener('input', () => minutesInput.setCustomValidity(''));
+  
+  document.getElementById('focus-stop-btn').addEventListener('click', async () => {
+    try {
+      await sendBackgroundMessage({ action: 'stopFocus' });
+      await loadData();
+    } catch (error) {
+      console.error('Error stopping focus session:', error);
+    }
+  });
+}
+
+// Show the running session or break with a countdown, and today's last session
+async function displayFocus() {
+  const focus = await loadFocusState();
+  const minutesInput = document.getElementById('focus-minutes');
+  if (!minutesInput.value) {
+    minutesInput.value = settingsCache.focusMinutes;
+  }
+  
+  clearInterval(focusTimer);
+  document.getElementById('focus-idle').hidden = Boolean(focus);
+  document.getElementById('focus-running').hidden = !focus;
+  
+  if (focus) {
+    document.getElementById('focus-phase').textContent = focus.phase === 'focus' ? 'Focus' : 'Break';
+    const countdown = document.getElementById('focus-countdown');
+    const tick = () => {
+      const left = Math.max(0, focus.endsAt - Date.now());
+      countdown.textContent = formatCountdown(left);
+      if (left === 0) {
+        // The background ends the session on its alarm - pick up the result
+        clearInterval(focusTimer);
+        setTimeout(loadData, 1500);
+      }
+    };
+    tick();
+    focusTimer = setInterval(tick, 1000);
+  }
+  
+  const sessions = webTimeDataCache.focusSessions?.[getTodayKey()] || [];
+  const last = sessions[sessions.length - 1];
+  const lastEl = document.getElementById('focus-last');
+  lastEl.hidden = !last || focus?.phase === 'focus';
+  if (last) {
+    lastEl.textContent = `Last session: ${describeSession(last)}`;
+    lastEl.title = getSessionBreakdown(last).map(entry => `${entry.domain}: ${formatTime(entry.time)}`).join('\n');
+  }
+}
+
+// Pause tracking controls
+function setupPause() {
+  document.getElementById('pause-btn').addEventListener('click', async () => {
+    const value = document.getElementById('pause-minutes').value;
+    // "For today" runs until midnight
+    const midnight = new Date().setHours(24, 0, 0, 0);
+    const minutes = value === 'today' ? Math.ceil((midnight - Date.now()) / 60000) : Number(value);
+    
+    try {
+      await sendBackgroundMessage({ action: 'pauseTracking', minutes });
+      await loadData();
+    } catch (error) {
+      console.error('Error pausing tracking:', error);
+    }
+  });
+  
+  document.getElementById('resume-btn').addEventListener('click', async () => {
+    try {
+      await sendBackgroundMessage({ action: 'pauseTracking', minutes: 0 });
+      await loadData();
+    } catch (error) {
+      console.error('Error resuming tracking:', error);
+    }
+  });
+}
+
+// Show the pause countdown, or the pause picker - and whether the schedule is holding tracking off
+function displayPause(tracking) {
+  const pausedUntil = tracking?.pausedUntil || 0;
+  clearInterval(pauseTimer);
+  
+  const tick = () => {
+    const left = pausedUntil - Date.now();
+    document.getElementById('pause-idle').hidden = left > 0;
+    document.getElementById('pause-running').hidden = left <= 0;
+    document.getElementById('schedule-note').hidden = left > 0 || isWithinSchedule(new Date(), settingsCache);
+    if (left <= 0) {
+      clearInterval(pauseTimer);
+      return;
+    }
+    
+    const until = new Date(pausedUntil).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    document.getElementById('pause-status').textContent = left > 60 * 60 * 1000
+      ? `Paused until ${until}`
+      : `Paused · ${formatCountdown(left)}`;
+  };
+  tick();
+  pauseTimer = setInterval(tick, 1000);
+}
+
+// Format a countdown as m:ss
+function formatCountdown(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left`;
+}
+
+// Show how much of chrome.storage.local is in use, and when old history was rolled up to make room
+async function displayStorageUsage() {
+  const bytes = await chrome.storage.local.getBytesInUse(null);
+  const quota = chrome.storage.local.QUOTA_BYTES;
+  const { [STORAGE_STATUS_KEY]: status } = await chrome.storage.local.get([STORAGE_STATUS_KEY]);
+  const el = document.getElementById('storage-usage');
+  el.textContent = ` · ${formatBytes(bytes)} of ${formatBytes(quota)} used`;
+  if (status?.prunedBefore) {
+    el.textContent += ` · days before ${parseDateKey(status.prunedBefore).toLocaleDateString()} rolled up to make room`;
+  }
+  el.classList.toggle('warning', bytes / quota > 0.8);
+}
+
+// Format a byte count in human readable format
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
 // Update header total time based on current tab
 function updateHeaderTotal() {
   if (!webTimeDataCache) return;
   
   let totalTime = 0;
+  let passiveTime = 0;
+  let comparison = null;
   
-  if (currentTab === 'today') {
-    const todayKey = getTodayKey();
-    const todayData = webTimeDataCache.dailyStats[todayKey] || {};
-    totalTime = Object.values(todayData).reduce((sum, data) => sum + data.time, 0);
-  } else if (currentTab === 'week') {
-    const weekKeys = getWeekKeys();
-    weekKeys.forEach(key => {
-      const dayData = webTimeDataCache.dailyStats[key] || {};
-      totalTime += Object.values(dayData).reduce((sum, data) => sum + data.time, 0);
+  if (currentTab === 'today' || currentTab === 'week') {
+    const keys = currentTab === 'today' ? [getTodayKey()] : getWeekKeys();
+    keys.forEach(key => {
+      Object.values(webTimeDataCache.dailyStats[key] || {}).forEach(data => {
+        totalTime += data.time;
+        passiveTime += data.passive || 0;
+      });
     });
+    
+    comparison = getComparison(currentTab, settingsCache);
+    if (comparison) {
+      const previousTotal = Object.values(comparison.totals).reduce((sum, time) => sum + time, 0);
+      comparison.delta = totalTime - previousTotal;
+    }
   } else {
-    totalTime = Object.values(webTimeDataCache.sites).reduce((sum, data) => sum + data.totalTime, 0);
+    Object.values(webTimeDataCache.sites).forEach(data => {
+      totalTime += data.totalTime;
+      passiveTime += data.passiveTime || 0;
+    });
   }
   
   document.getElementById('header-total').textContent = formatTime(totalTime);
-}
-
-// Format time in human readable format
-function formatTime(ms) {
-  const seconds = Math.floor(ms / 1000);
-  const minutes = Math.floor(seconds / 60);
-  const hours = Math.floor(minutes / 60);
   
-  if (hours > 0) {
-    const remainingMinutes = minutes % 60;
-    return `${hours}h ${remainingMinutes}m`;
-  } else if (minutes > 0) {
-    return `${minutes}m`;
-  } else {
-    return `${seconds}s`;
+  // Passive time is shown next to, never added to, active time
+  const passiveEl = document.getElementById('header-passive');
+  passiveEl.hidden = passiveTime === 0;
+  passiveEl.textContent = `+ ${formatTime(passiveTime)} background media`;
+  
+  const deltaEl = document.getElementById('header-delta');
+  deltaEl.hidden = !comparison || Math.abs(comparison.delta) < MIN_DELTA_MS;
+  if (comparison) {
+    deltaEl.textContent = `${formatDelta(comparison.delta)} vs ${comparison.label}`;
   }
 }
 
-// Get today's date key (uses local timezone)
-function getTodayKey() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
-
-// Get date keys for the past 7 days (uses local timezone)
-function getWeekKeys() {
+// Get date keys for the past 7 days (uses local timezone), or the 7 before that with offset 7
+function getWeekKeys(offset = 0) {
   const keys = [];
-  for (let i = 0; i < 7; i++) {
+  for (let i = offset; i < offset + 7; i++) {
     const date = new Date();
     date.setDate(date.getDate() - i);
     const year = date.getFullYear();
@@ -122,8 +359,57 @@ function getWeekKeys() {
   return keys;
 }
 
+// The period a tab is compared with - yesterday for Today, the 7 days before for This Week -
+// up to the same time of day, so a day in progress isn't measured against a whole one
+// Returns { label, totals: { [site group]: time } }. Without hourly detail (a synced device's
+// history) Today has no comparison - null - and This Week counts that day whole
+function getComparison(tab, settings) {
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  const keys = tab === 'today' ? [getDateKey(yesterday)] : getWeekKeys(7);
+  // Yesterday, or the same weekday last week
+  const sameDayKey = keys[0];
+  const sameDayStats = getDayStatsSoFar(sameDayKey);
+  if (tab === 'today' && !sameDayStats) return null;
+  
+  const totals = {};
+  keys.forEach(key => {
+    const dayStats = key === sameDayKey && sameDayStats ? sameDayStats : webTimeDataCache.dailyStats[key];
+    Object.entries(groupDayStats(dayStats, settings)).forEach(([group, data]) => {
+      totals[group] = (totals[group] || 0) + data.time;
+    });
+  });
+  return { label: tab === 'today' ? 'yesterday' : 'last week', totals };
+}
+
+// A day's time per domain up to the current time of day, from its hour buckets - the current hour
+// counts in proportion to how much of it has passed. Domains without their own hours follow the
+// day's. Returns null when the day has time but no hourly detail (synced devices share totals only)
+function getDayStatsSoFar(dateKey) {
+  const now = new Date();
+  const hoursPassed = now.getHours() + now.getMinutes() / 60;
+  const dayHours = webTimeDataCache.hourlyStats?.[dateKey] || {};
+  const domainHours = webTimeDataCache.domainHourlyStats?.[dateKey] || {};
+  const shareSoFar = hours => {
+    const entries = Object.entries(hours);
+    const total = entries.reduce((sum, [, time]) => sum + time, 0);
+    if (total === 0) return null;
+    const soFar = entries.reduce((sum, [hour, time]) => sum + time * Math.min(Math.max(hoursPassed - hour, 0), 1), 0);
+    return soFar / total;
+  };
+  
+  const dayShare = shareSoFar(dayHours);
+  const stats = {};
+  for (const [domain, data] of Object.entries(webTimeDataCache.dailyStats[dateKey] || {})) {
+    const share = shareSoFar(domainHours[domain] || {}) ?? dayShare;
+    if (share === null) return null;
+    stats[domain] = { time: data.time * share, visits: 0 };
+  }
+  return stats;
+}
+
 // Display today's stats
-function displayTodayStats(webTimeData) {
+function displayTodayStats(webTimeData, settings) {
   const todayKey = getTodayKey();
   const todayData = webTimeData.dailyStats[todayKey] || {};
   
@@ -131,25 +417,54 @@ function displayTodayStats(webTimeData) {
     .map(([domain, data]) => ({
       domain,
       time: data.time,
+      passive: data.passive || 0,
       visits: data.visits,
-      favicon: webTimeData.sites[domain]?.favicon || ''
+      favicon: getFaviconUrl(domain, webTimeData.sites[domain]?.favicon)
     }))
     .sort((a, b) => b.time - a.time);
   
-  const siteCount = sites.length;
+  // Categories stay per host; the list shows site groups
+  const rows = groupSiteRows(sites, settings);
+  const siteCount = rows.length;
   
   document.getElementById('today-sites').textContent = `${siteCount} site${siteCount !== 1 ? 's' : ''}`;
   
   displayActivityChart(webTimeData);
-  displaySiteList('today-list', sites);
+  displayCategorySummary('today-categories', sites, getAverageProductivityScore([todayData], settings), settings);
+  displayGoals(webTimeData, settings);
+  displaySiteList('today-list', rows, [todayKey], getComparison('today', settings));
+}
+
+// Display today's progress and the current streak for each goal
+function displayGoals(webTimeData, settings) {
+  const container = document.getElementById('today-goals');
+  container.hidden = settings.goals.length === 0;
+  
+  const todayData = webTimeData.dailyStats[getTodayKey()] || {};
+  container.innerHTML = settings.goals.map(goal => {
+    const used = getLimitUsage(goal, todayData, settings);
+    const streak = getGoalStreak(goal, webTimeData.dailyStats, settings);
+    const title = `Best streak: ${streak.best} day${streak.best !== 1 ? 's' : ''}`;
+    return `
+      <div class="goal-item" title="${title}">
+        <span class="goal-status ${streak.metToday ? 'met' : ''}"></span>
+        <span class="goal-name">${escapeHtml(formatGoal(goal))}</span>
+        <span class="goal-progress">${formatTime(used)}</span>
+        <span class="goal-streak">${streak.current > 0 ? `🔥 ${streak.current}d` : ''}</span>
+      </div>
+    `;
+  }).join('');
 }
 
 // Display activity chart for today
 function displayActivityChart(webTimeData) {
-  const todayKey = getTodayKey();
-  const hourlyData = webTimeData.hourlyStats?.[todayKey] || {};
-  const currentHour = new Date().getHours();
-  
+  const hourlyData = webTimeData.hourlyStats?.[getTodayKey()] || {};
+  renderHourChart('activity-chart', 'peak-hour', hourlyData, new Date().getHours());
+}
+
+// Render 24 hourly bars from { [hour]: timeMs } with the peak hour label
+// currentHour highlights the running hour (null for charts not about today)
+function renderHourChart(chartId, peakId, hourlyData, currentHour = null) {
   // Create array of 24 hours with their data
   const hours = Array.from({ length: 24 }, (_, i) => ({
     hour: i,
@@ -172,14 +487,10 @@ function displayActivityChart(webTimeData) {
     const isCurrent = hour === currentHour;
     const isEmpty = time === 0;
     
-    const label = showLabels.includes(hour) 
-      ? (hour === 0 ? '12a' : hour < 12 ? `${hour}a` : hour === 12 ? '12p' : `${hour-12}p`)
-      : '';
-    
-    const timeLabel = hour === 0 ? '12am' : hour < 12 ? `${hour}am` : hour === 12 ? '12pm' : `${hour-12}pm`;
+    const label = showLabels.includes(hour) ? formatHour(hour).slice(0, -1) : '';
     
     return `
-      <div class="chart-bar-wrapper" data-tooltip="${formatTime(time)} at ${timeLabel}">
+      <div class="chart-bar-wrapper" data-tooltip="${formatTime(time)} at ${formatHour(hour)}">
         <div class="chart-bar ${isEmpty ? 'empty' : ''} ${isPeak ? 'peak' : ''} ${isCurrent ? 'current' : ''}" 
              style="height: ${heightPx}px"></div>
         ${label ? `<span class="chart-label ${isCurrent ? 'current' : ''} ${isPeak ? 'peak' : ''}">${label}</span>` : ''}
@@ -188,23 +499,14 @@ function displayActivityChart(webTimeData) {
     `;
   }).join('');
   
-  document.getElementById('activity-chart').innerHTML = chartHtml;
+  document.getElementById(chartId).innerHTML = chartHtml;
   
   // Update peak hour display
-  const peakEl = document.getElementById('peak-hour');
-  if (peakHour.time > 0) {
-    const peakHourLabel = peakHour.hour === 0 ? '12am' 
-      : peakHour.hour < 12 ? `${peakHour.hour}am` 
-      : peakHour.hour === 12 ? '12pm' 
-      : `${peakHour.hour - 12}pm`;
-    peakEl.textContent = `Peak: ${peakHourLabel}`;
-  } else {
-    peakEl.textContent = '';
-  }
+  document.getElementById(peakId).textContent = peakHour.time > 0 ? `Peak: ${formatHour(peakHour.hour)}` : '';
 }
 
 // Display week stats
-function displayWeekStats(webTimeData) {
+function displayWeekStats(webTimeData, settings) {
   const weekKeys = getWeekKeys();
   const weekSites = {};
   
@@ -212,9 +514,10 @@ function displayWeekStats(webTimeData) {
     const dayData = webTimeData.dailyStats[key] || {};
     Object.entries(dayData).forEach(([domain, data]) => {
       if (!weekSites[domain]) {
-        weekSites[domain] = { time: 0, visits: 0 };
+        weekSites[domain] = { time: 0, passive: 0, visits: 0 };
       }
       weekSites[domain].time += data.time;
+      weekSites[domain].passive += data.passive || 0;
       weekSites[domain].visits += data.visits;
     });
   });
@@ -223,38 +526,137 @@ function displayWeekStats(webTimeData) {
     .map(([domain, data]) => ({
       domain,
       time: data.time,
+      passive: data.passive,
       visits: data.visits,
-      favicon: webTimeData.sites[domain]?.favicon || ''
+      favicon: getFaviconUrl(domain, webTimeData.sites[domain]?.favicon)
     }))
     .sort((a, b) => b.time - a.time);
   
-  const siteCount = sites.length;
+  const rows = groupSiteRows(sites, settings);
+  const siteCount = rows.length;
   
   document.getElementById('week-sites').textContent = `${siteCount} site${siteCount !== 1 ? 's' : ''}`;
   
-  displaySiteList('week-list', sites);
+  const weekDays = weekKeys.map(key => webTimeData.dailyStats[key]).filter(Boolean);
+  displayWeekChart(webTimeData, weekKeys, rows, settings);
+  displayCategorySummary('week-categories', sites, getAverageProductivityScore(weekDays, settings), settings);
+  displaySiteList('week-list', rows, weekKeys, getComparison('week', settings));
+}
+
+// Display a bar per day of the week, oldest first, stacked by the week's top sites
+function displayWeekChart(webTimeData, weekKeys, rows, settings) {
+  const topSites = rows.slice(0, WEEK_CHART_TOP_SITES).map(row => row.domain);
+  const series = [...topSites, 'other'];
+  const getColor = name => name === 'other' ? WEEK_CHART_OTHER_COLOR : WEEK_CHART_COLORS[topSites.indexOf(name)];
+  const getLabel = name => name === 'other' ? 'Other' : name;
+  
+  const days = [...weekKeys].reverse().map(key => {
+    const totals = {};
+    Object.entries(groupDayStats(webTimeData.dailyStats[key], settings)).forEach(([group, data]) => {
+      const name = topSites.includes(group) ? group : 'other';
+      totals[name] = (totals[name] || 0) + data.time;
+    });
+    return { key, totals, total: Object.values(totals).reduce((sum, time) => sum + time, 0) };
+  });
+  const maxTime = Math.max(...days.map(day => day.total), 1);
+  const busiest = days.reduce((peak, day) => day.total > peak.total ? day : peak, days[0]);
+  const todayKey = getTodayKey();
+  
+  document.getElementById('week-chart').innerHTML = days.map(day => {
+    const weekday = parseDateKey(day.key).toLocaleDateString('en-US', { weekday: 'short' });
+    const segments = series
+      .filter(name => day.totals[name])
+      .map(name => `
+        <div class="week-segment" style="height: ${(day.totals[name] / day.total) * 100}%; background: ${getColor(name)}"
+             title="${escapeHtml(getLabel(name))}: ${formatTime(day.totals[name])}"></div>
+      `).join('');
+    return `
+      <div class="week-column" title="${weekday}: ${formatTime(day.total)}">
+        <div class="week-stack" style="height: ${(day.total / maxTime) * 100}%">${segments}</div>
+        <span class="week-label ${day.key === todayKey ? 'current' : ''}">${weekday}</span>
+      </div>
+    `;
+  }).join('');
+  
+  document.getElementById('peak-day').textContent = busiest.total > 0
+    ? `Busiest: ${parseDateKey(busiest.key).toLocaleDateString('en-US', { weekday: 'long' })}`
+    : '';
+  document.getElementById('week-legend').innerHTML = series
+    .filter(name => days.some(day => day.totals[name]))
+    .map(name => `
+      <span class="week-legend-item">
+        <span class="category-dot" style="background: ${getColor(name)}"></span>
+        ${escapeHtml(getLabel(name))}
+      </span>
+    `).join('');
 }
 
 // Display all-time stats
-function displayAllTimeStats(webTimeData) {
+function displayAllTimeStats(webTimeData, settings) {
   const sites = Object.entries(webTimeData.sites)
     .map(([domain, data]) => ({
       domain,
       time: data.totalTime,
+      passive: data.passiveTime || 0,
       visits: data.visits,
-      favicon: data.favicon
+      favicon: getFaviconUrl(domain, data.favicon)
     }))
     .sort((a, b) => b.time - a.time);
   
-  const siteCount = sites.length;
+  const rows = groupSiteRows(sites, settings);
+  const siteCount = rows.length;
   
   document.getElementById('all-sites').textContent = `${siteCount} site${siteCount !== 1 ? 's' : ''}`;
   
-  displaySiteList('all-list', sites);
+  const allDays = Object.values(webTimeData.dailyStats);
+  displayCategorySummary('all-categories', sites, getAverageProductivityScore(allDays, settings), settings);
+  displaySiteList('all-list', rows, Object.keys(pathDataCache));
+}
+
+// Display category breakdown bar and productivity score
+// Week and All Time show the average of the daily scores
+function displayCategorySummary(containerId, sites, score, settings) {
+  const container = document.getElementById(containerId);
+  const siteTimes = Object.fromEntries(sites.map(site => [site.domain, site.time]));
+  const categories = getCategoryBreakdown(siteTimes, settings).filter(c => c.time > 0);
+  const totalTime = categories.reduce((sum, c) => sum + c.time, 0);
+  
+  if (totalTime === 0) {
+    container.innerHTML = '';
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = '';
+  
+  const segments = categories.map(({ category, time, color }) => `
+    <div class="category-segment" style="width: ${(time / totalTime) * 100}%; background: ${color}"
+         title="${escapeHtml(category)}: ${formatTime(time)}"></div>
+  `).join('');
+  
+  const legend = categories.slice(0, 4).map(({ category, time, color }) => `
+    <div class="category-legend-item">
+      <span class="category-dot" style="background: ${color}"></span>
+      <span class="category-name">${escapeHtml(category)}</span>
+      <span class="category-time">${formatTime(time)}</span>
+    </div>
+  `).join('');
+  
+  const scoreClass = score === null ? '' : score >= 60 ? 'good' : score < 40 ? 'bad' : '';
+  
+  container.innerHTML = `
+    <div class="chart-header">
+      <span class="chart-title">Categories</span>
+      ${score !== null ? `<span class="productivity-score ${scoreClass}" title="Average daily productivity score">Score ${score}</span>` : ''}
+    </div>
+    <div class="category-bar">${segments}</div>
+    <div class="category-legend">${legend}</div>
+  `;
 }
 
-// Display site list
-function displaySiteList(containerId, sites) {
+// Display site list (rows are site groups from groupSiteRows)
+// dateKeys select which days of page details (paths and titles) a row expands to; comparison
+// (from getComparison) adds each row's change against the previous period
+function displaySiteList(containerId, sites, dateKeys, comparison = null) {
   const container = document.getElementById(containerId);
   
   if (sites.length === 0) {
@@ -275,62 +677,278 @@ function displaySiteList(containerId, sites) {
   
   container.innerHTML = sites.slice(0, 20).map(site => {
     const safeFavicon = sanitizeUrl(site.favicon);
+    const pages = getPageBreakdown(pathDataCache, dateKeys, site.hosts);
+    const hasPages = pages.paths.length > 0 || pages.titles.length > 0;
+    const delta = comparison ? site.time - (comparison.totals[site.domain] || 0) : 0;
     return `
-      <div class="site-item">
+      <div class="site-item" data-domain="${escapeHtml(site.domain)}" title="Show details">
+        <button class="site-expand-btn" ${hasPages ? '' : 'disabled'} title="Show pages">›</button>
         <div class="site-favicon">
           ${safeFavicon ? `<img src="${safeFavicon}" alt="" onerror="this.style.display='none'; this.parentElement.textContent='🌐'">` : '🌐'}
         </div>
         <div class="site-info">
-          <div class="site-name">${escapeHtml(site.domain)}</div>
+          <div class="site-name" ${site.hosts.length > 1 ? `title="${escapeHtml(site.hosts.join(', '))}"` : ''}>${escapeHtml(site.domain)}</div>
+          ${site.passive ? `<div class="site-passive">+ ${formatTime(site.passive)} background media</div>` : ''}
+          ${Math.abs(delta) >= MIN_DELTA_MS ? `<div class="site-delta">${formatDelta(delta)} vs ${comparison.label}</div>` : ''}
         </div>
         <div class="site-time">${formatTime(site.time)}</div>
+        <button class="site-block-btn" data-domain="${escapeHtml(site.domain)}" title="Never track this site">⊘</button>
       </div>
+      ${hasPages ? renderPageBreakdown(pages) : ''}
     `;
   }).join('');
 }
 
-// Escape HTML to prevent XSS
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+// Render the hidden path and title rows under a site
+function renderPageBreakdown({ paths, titles }) {
+  const renderGroup = (label, entries) => entries.length === 0 ? '' : `
+    <div class="site-pages-label">${label}</div>
+    ${entries.slice(0, 10).map(entry => `
+      <div class="site-page">
+        <span class="site-page-name" title="${escapeHtml(entry.name)}">${escapeHtml(entry.name)}</span>
+        <span class="site-page-time">${formatTime(entry.time)}</span>
+      </div>
+    `).join('')}
+  `;
+  
+  return `
+    <div class="site-pages" hidden>
+      ${renderGroup('Paths', paths)}
+      ${renderGroup('Pages', titles)}
+    </div>
+  `;
 }
 
-// Sanitize URL to prevent XSS through malicious URLs
-function sanitizeUrl(url) {
-  if (!url) return '';
+// Site detail actions (category, limit, block, delete)
+function setupSiteDetail() {
+  document.getElementById('detail-back-btn').addEventListener('click', closeSiteDetail);
+  
+  document.getElementById('detail-category').addEventListener('change', async (event) => {
+    try {
+      const settings = await getSettings();
+      // Assigned to every host, so it holds however the site is grouped later
+      const assigned = Object.fromEntries(getSiteHosts(detailDomain).map(host => [host, event.target.value]));
+      await saveSettings({ siteCategories: { ...settings.siteCategories, ...assigned } });
+      await loadData();
+    } catch (error) {
+      console.error('Error saving category:', error);
+    }
+  });
+  
+  document.getElementById('detail-limit-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    try {
+      const minutes = Number(document.getElementById('detail-limit').value);
+      const settings = await getSettings();
+      // One limit per target - an empty value removes it
+      const limits = settings.limits.filter(l => !(l.type === 'domain' && l.target === detailDomain));
+      if (minutes > 0) {
+        limits.push({ type: 'domain', target: detailDomain, minutes });
+      }
+      await saveSettings({ limits });
+      await loadData();
+    } catch (error) {
+      console.error('Error saving limit:', error);
+    }
+  });
+  
+  document.getElementById('detail-block-btn').addEventListener('click', async () => {
+    const domain = detailDomain;
+    closeSiteDetail();
+    await neverTrackSite(domain);
+  });
+  
+  document.getElementById('detail-delete-btn').addEventListener('click', async () => {
+    if (!confirm(`Delete all history for ${detailDomain}?`)) return;
+    try {
+      const domain = detailDomain;
+      closeSiteDetail();
+      await deleteSiteHistory(domain);
+      await loadData();
+    } catch (error) {
+      console.error('Error deleting site:', error);
+    }
+  });
+}
+
+// Show the detail view for a site in place of the tab content
+function openSiteDetail(domain) {
+  detailDomain = domain;
+  document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+  document.getElementById('site-detail').classList.add('active');
+  displaySiteDetail(domain);
+}
+
+// Return to the tab the detail view was opened from
+function closeSiteDetail() {
+  detailDomain = null;
+  document.getElementById('site-detail').classList.remove('active');
+  document.getElementById(currentTab).classList.add('active');
+}
+
+// Hosts recorded under a site group, busiest first
+function getSiteHosts(group) {
+  const sites = webTimeDataCache.sites;
+  const hosts = getGroupHosts(group, Object.keys(sites), settingsCache)
+    .sort((a, b) => sites[b].totalTime - sites[a].totalTime);
+  return hosts.length > 0 ? hosts : [group];
+}
+
+// Render a site's totals, last 30 days, time of day and current settings
+// A grouped site sums all of its hosts
+function displaySiteDetail(domain) {
+  const webTimeData = webTimeDataCache;
+  const settings = settingsCache;
+  const hosts = getSiteHosts(domain);
+  const hostSites = hosts.map(host => webTimeData.sites[host]).filter(Boolean);
+  const site = {
+    totalTime: hostSites.reduce((sum, hostSite) => sum + hostSite.totalTime, 0),
+    favicon: getFaviconUrl(hosts[0], webTimeData.sites[hosts[0]]?.favicon),
+    firstVisit: hostSites.length > 0 ? Math.min(...hostSites.map(hostSite => hostSite.firstVisit)) : null
+  };
+  const sumHosts = (stats, field) => hosts.reduce((sum, host) => sum + (stats?.[host]?.[field] || 0), 0);
+  
+  document.getElementById('detail-domain').textContent = domain;
+  document.getElementById('detail-domain').title = hosts.join(', ');
+  const safeFavicon = sanitizeUrl(site.favicon);
+  document.getElementById('detail-favicon').innerHTML = safeFavicon
+    ? `<img src="${safeFavicon}" alt="" onerror="this.style.display='none'; this.parentElement.textContent='🌐'">`
+    : '🌐';
+  
+  // Last 30 days, oldest first
+  const end = new Date();
+  const start = new Date();
+  start.setDate(start.getDate() - 29);
+  const days = getDateKeysInRange(getDateKey(start), getDateKey(end)).map(key => ({
+    key,
+    time: sumHosts(webTimeData.dailyStats[key], 'time'),
+    visits: sumHosts(webTimeData.dailyStats[key], 'visits')
+  }));
+  const activeDays = days.filter(day => day.time > 0).length;
+  const monthTime = days.reduce((sum, day) => sum + day.time, 0);
+  
+  const stats = [
+    ['Total', formatTime(site.totalTime)],
+    ['Today', formatTime(days[days.length - 1].time)],
+    ['Daily Avg', formatTime(activeDays ? monthTime / activeDays : 0)],
+    ['First Seen', site.firstVisit ? new Date(site.firstVisit).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '-']
+  ];
+  document.getElementById('detail-stats').innerHTML = stats.map(([label, value]) => `
+    <div class="detail-stat">
+      <span class="detail-stat-value">${escapeHtml(value)}</span>
+      <span class="detail-stat-label">${label}</span>
+    </div>
+  `).join('');
+  
+  document.getElementById('detail-days').textContent = `${activeDays} of 30 days`;
+  renderSparkline(days);
+  
+  const maxVisits = Math.max(...days.map(day => day.visits), 1);
+  document.getElementById('detail-visits').innerHTML = days.map(day => `
+    <div class="detail-visit-bar" style="height: ${Math.max((day.visits / maxVisits) * 100, 4)}%"
+         title="${day.visits} visit${day.visits !== 1 ? 's' : ''} on ${day.key}"></div>
+  `).join('');
+  
+  // Time of day summed over every retained day
+  const hourlyData = {};
+  Object.values(webTimeData.domainHourlyStats || {}).forEach(dayHours => {
+    hosts.forEach(host => {
+      Object.entries(dayHours[host] || {}).forEach(([hour, time]) => {
+        hourlyData[hour] = (hourlyData[hour] || 0) + time;
+      });
+    });
+  });
+  renderHourChart('detail-hours', 'detail-peak', hourlyData);
+  
+  const categorySelect = document.getElementById('detail-category');
+  const category = getCategory(hosts[0], settings);
+  const names = getCategoryNames(settings);
+  if (!names.includes(category)) names.push(category);
+  categorySelect.innerHTML = names.map(name => `
+    <option value="${escapeHtml(name)}" ${name === category ? 'selected' : ''}>${escapeHtml(name)}</option>
+  `).join('');
+  
+  const limit = settings.limits.find(l => l.type === 'domain' && l.target === domain);
+  document.getElementById('detail-limit').value = limit ? limit.minutes : '';
+}
+
+// Draw daily time as a line over the last 30 days
+function renderSparkline(days) {
+  const width = 300;
+  const height = 40;
+  const maxTime = Math.max(...days.map(day => day.time), 1);
+  const step = width / (days.length - 1);
+  const points = days.map((day, i) => `${(i * step).toFixed(1)},${(height - (day.time / maxTime) * (height - 2) - 1).toFixed(1)}`);
+  
+  document.getElementById('detail-sparkline').innerHTML = `
+    <polygon class="sparkline-area" points="0,${height} ${points.join(' ')} ${width},${height}"/>
+    <polyline class="sparkline-line" points="${points.join(' ')}"/>
+  `;
+}
+
+// Add block rules for a site's hosts and optionally remove its history
+async function neverTrackSite(domain) {
   try {
-    const parsed = new URL(url);
-    // Only allow https:// protocol (for Google favicon service)
-    if (parsed.protocol === 'https:') {
-      return url;
+    const settings = await getSettings();
+    const newRules = getSiteHosts(domain)
+      .filter(host => !settings.blockRules.some(rule => rule.type === 'exact' && rule.pattern === host))
+      .map(host => ({ type: 'exact', pattern: host }));
+    if (newRules.length > 0) {
+      await saveSettings({ blockRules: [...settings.blockRules, ...newRules] });
+    }
+    
+    if (confirm(`${domain} will no longer be tracked. Also delete its existing history?`)) {
+      await deleteSiteHistory(domain);
     }
-    return '';
-  } catch {
-    return '';
+    await loadData();
+  } catch (error) {
+    console.error('Error blocking site:', error);
+  }
+}
+
+// Remove a site's hosts from site totals, every day's stats and page details
+async function deleteSiteHistory(domain) {
+  const { expiresAt } = await sendBackgroundMessage({ action: 'deleteHistory', domains: getSiteHosts(domain) });
+  showUndo(`Deleted ${domain}`, expiresAt);
+}
+
+// Offer to undo a deletion until the background stops keeping it
+function showUndo(text, expiresAt) {
+  const bar = document.getElementById('undo-bar');
+  document.getElementById('undo-text').textContent = text;
+  bar.hidden = false;
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(() => { bar.hidden = true; }, expiresAt - Date.now());
+}
+
+// Restore the last deletion
+async function undoDelete() {
+  clearTimeout(undoTimer);
+  document.getElementById('undo-bar').hidden = true;
+  try {
+    await sendBackgroundMessage({ action: 'undoDelete' });
+    await loadData();
+  } catch (error) {
+    console.error('Error undoing deletion:', error);
   }
 }
 
-// Export data as JSON
+// Export data in the chosen format and date range
 async function exportData() {
   try {
-    const data = await chrome.storage.local.get(['webtime_data']);
-    const webTimeData = data.webtime_data || { sites: {}, dailyStats: {} };
-    
-    const exportData = {
-      exportDate: new Date().toISOString(),
-      data: webTimeData
-    };
-    
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+    const webTimeData = await loadWebTimeData();
+    const format = document.getElementById('export-format').value;
+    const range = document.getElementById('export-range').value;
     
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `quipu-pacha-${getTodayKey()}.json`;
-    a.click();
+    const todayKey = getTodayKey();
+    let startKey = Object.keys(webTimeData.dailyStats).sort()[0] || todayKey;
+    if (range !== 'all') {
+      const start = new Date();
+      start.setDate(start.getDate() - (Number(range) - 1));
+      startKey = getDateKey(start);
+    }
     
-    URL.revokeObjectURL(url);
+    exportWebTimeData(format, webTimeData, getDateKeysInRange(startKey, todayKey), settingsCache || await getSettings());
   } catch (error) {
     console.error('Error exporting data:', error);
   }
@@ -340,14 +958,7 @@ async function exportData() {
 async function clearData() {
   if (confirm('Are you sure you want to clear all browsing time data? This cannot be undone.')) {
     try {
-      await chrome.storage.local.set({
-        webtime_data: {
-          sites: {},
-          dailyStats: {},
-          hourlyStats: {},
-          lastUpdated: Date.now()
-        }
-      });
+      await sendBackgroundMessage({ action: 'replaceData', data: null });
       await loadData();
     } catch (error) {
       console.error('Error clearing data:', error);
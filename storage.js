@@ -0,0 +1,366 @@
+// Quipu Pacha storage layer
+// History lives in one chrome.storage.local key per day and per site, so a heartbeat only rewrites
+// today's record and the sites it credited:
+//   webtime_meta          { version, lastUpdated } - lastUpdated of changes other than tracked time
+//   webtime_site_<domain> { totalTime, visits, passiveTime?, favicon, firstVisit }
+//   webtime_monthly       monthlyStats (days rolled up by the retention policy)
+//   webtime_day_<date>    { sites: { [domain]: { time, visits, passive? } }, hours: { [hour]: timeMs },
+//                           domainHours?: { [domain]: { [hour]: timeMs } }, sessions?: [focus session],
+//                           updated?: timestamp of the last tracked time or visit }
+//   webtime_paths_<date>  { [domain]: { paths, titles } } (opt-in page details)
+//   webtime_log_<date>    [{ start, end, domain, windowId }] active time as it was spent, in order;
+//                         no interval crosses an hour boundary, so the day's sites and hours add up from it
+//   webtime_focus         the running focus session or break, null when none
+//   webtime_undo          what the last history deletion removed, until it can no longer be undone
+//   webtime_storage       { prunedBefore, prunedAt } when history was rolled up to free storage space
+//   webtime_device        this install's { id, name } for sync
+//   webtime_devices       other devices' synced totals { [id]: { name, updated, days: { [date]: { [domain]: seconds } } } }
+//
+// Extension pages read through loadWebTimeData(), which assembles the familiar
+// { sites, dailyStats, hourlyStats, domainHourlyStats, monthlyStats, focusSessions } shape used by
+// exports and imports.
+// Only the background service worker writes history, through queueMutation();
+// pages ask it to with sendBackgroundMessage().
+
+const META_KEY = 'webtime_meta';
+const SITES_KEY = 'webtime_sites'; // every site in one map, up to schema version 3
+const MONTHLY_KEY = 'webtime_monthly';
+const TRACKING_KEY = 'webtime_tracking';
+const FOCUS_KEY = 'webtime_focus';
+const UNDO_KEY = 'webtime_undo';
+const STORAGE_STATUS_KEY = 'webtime_storage';
+const DEVICE_KEY = 'webtime_device';
+const DEVICES_KEY = 'webtime_devices';
+const SITE_KEY_PREFIX = 'webtime_site_';
+const DAY_KEY_PREFIX = 'webtime_day_';
+const PATHS_KEY_PREFIX = 'webtime_paths_';
+const LOG_KEY_PREFIX = 'webtime_log_';
+
+// Storage key for a site's totals
+function getSiteStorageKey(domain) {
+  return `${SITE_KEY_PREFIX}${domain}`;
+}
+
+// Storage key for a day of history
+function getDayStorageKey(dateKey) {
+  return `${DAY_KEY_PREFIX}${dateKey}`;
+}
+
+// Storage key for a day of page details
+function getPathsStorageKey(dateKey) {
+  return `${PATHS_KEY_PREFIX}${dateKey}`;
+}
+
+// Storage key for a day of the session log
+function getLogStorageKey(dateKey) {
+  return `${LOG_KEY_PREFIX}${dateKey}`;
+}
+
+// Empty day record
+function createEmptyDay() {
+  return { sites: {}, hours: {} };
+}
+
+// Assemble webtime_data from raw storage items
+// A webtime_sites map left from schema version 3 is read too, until the migration splits it up
+function assembleWebTimeData(items) {
+  const meta = items[META_KEY] || {};
+  const data = {
+    version: meta.version || SCHEMA_VERSION,
+    sites: { ...(items[SITES_KEY] || {}) },
+    dailyStats: {},
+    hourlyStats: {},
+    domainHourlyStats: {},
+    monthlyStats: items[MONTHLY_KEY] || {},
+    focusSessions: {},
+    lastUpdated: meta.lastUpdated || null
+  };
+
+  Object.entries(items).forEach(([key, site]) => {
+    if (key.startsWith(SITE_KEY_PREFIX)) {
+      data.sites[key.slice(SITE_KEY_PREFIX.length)] = site;
+    }
+  });
+
+  Object.entries(items).forEach(([key, day]) => {
+    if (!key.startsWith(DAY_KEY_PREFIX)) return;
+    const dateKey = key.slice(DAY_KEY_PREFIX.length);
+    if (day.updated > data.lastUpdated) {
+      data.lastUpdated = day.updated;
+    }
+    data.dailyStats[dateKey] = day.sites || {};
+    data.hourlyStats[dateKey] = day.hours || {};
+    if (day.domainHours) {
+      data.domainHourlyStats[dateKey] = day.domainHours;
+    }
+    if (day.sessions) {
+      data.focusSessions[dateKey] = day.sessions;
+    }
+  });
+
+  return data;
+}
+
+// Split webtime_data into storage items (the inverse of assembleWebTimeData)
+function splitWebTimeData(data) {
+  const items = {
+    [META_KEY]: { version: data.version || SCHEMA_VERSION, lastUpdated: data.lastUpdated || Date.now() },
+    [MONTHLY_KEY]: data.monthlyStats || {}
+  };
+
+  Object.entries(data.sites || {}).forEach(([domain, site]) => {
+    items[getSiteStorageKey(domain)] = site;
+  });
+
+  const dateKeys = new Set([
+    ...Object.keys(data.dailyStats || {}),
+    ...Object.keys(data.hourlyStats || {}),
+    ...Object.keys(data.domainHourlyStats || {}),
+    ...Object.keys(data.focusSessions || {})
+  ]);
+  dateKeys.forEach(dateKey => {
+    const day = items[getDayStorageKey(dateKey)] = {
+      sites: data.dailyStats?.[dateKey] || {},
+      hours: data.hourlyStats?.[dateKey] || {}
+    };
+    if (data.domainHourlyStats?.[dateKey]) {
+      day.domainHours = data.domainHourlyStats[dateKey];
+    }
+    if (data.focusSessions?.[dateKey]?.length) {
+      day.sessions = data.focusSessions[dateKey];
+    }
+  });
+
+  return items;
+}
+
+// Load all history as webtime_data
+async function loadWebTimeData() {
+  const items = await chrome.storage.local.get(null);
+  return assembleWebTimeData(items);
+}
+
+// Load one day's record
+async function loadDay(dateKey) {
+  const storageKey = getDayStorageKey(dateKey);
+  const items = await chrome.storage.local.get([storageKey]);
+  return items[storageKey] || createEmptyDay();
+}
+
+// Load the running focus session or break (null when none)
+async function loadFocusState() {
+  const items = await chrome.storage.local.get([FOCUS_KEY]);
+  return items[FOCUS_KEY] || null;
+}
+
+// Collect page details from raw storage items as { [dateKey]: { [domain]: { paths, titles } } }
+function assemblePathData(items) {
+  const pathData = {};
+  Object.entries(items).forEach(([key, day]) => {
+    if (key.startsWith(PATHS_KEY_PREFIX)) {
+      pathData[key.slice(PATHS_KEY_PREFIX.length)] = day;
+    }
+  });
+  return pathData;
+}
+
+// Load all page details
+async function loadPathData() {
+  const items = await chrome.storage.local.get(null);
+  return assemblePathData(items);
+}
+
+// Load one day's session log
+async function loadSessionLog(dateKey) {
+  const storageKey = getLogStorageKey(dateKey);
+  const items = await chrome.storage.local.get([storageKey]);
+  return items[storageKey] || [];
+}
+
+// Ask the background service worker to run a storage action
+async function sendBackgroundMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (response?.error) {
+    throw new Error(response.error);
+  }
+  return response?.result;
+}
+
+// ---- Write queue (background service worker only) ----
+
+let pendingMutations = [];
+let flushPromise = null;
+
+// A batch of reads and writes committed with a single storage.set
+// With a parent, reads see the parent's pending writes (as copies) and commit() hands the writes
+// to the parent instead - so a mutation that throws leaves nothing behind, even objects it changed
+function createTransaction(parent = null) {
+  const cache = new Map();
+  const dirty = new Set();
+  const removed = new Set();
+  let allKeys = null;
+
+  return {
+    // Read a key - the returned object may be mutated, then passed to set()
+    async get(key, fallback) {
+      if (!cache.has(key)) {
+        if (parent) {
+          cache.set(key, structuredClone(await parent.get(key)));
+        } else {
+          const items = await chrome.storage.local.get([key]);
+          cache.set(key, items[key]);
+        }
+      }
+      const value = cache.get(key);
+      return value === undefined ? fallback : value;
+    },
+    set(key, value) {
+      cache.set(key, value);
+      dirty.add(key);
+      removed.delete(key);
+    },
+    remove(key) {
+      cache.set(key, undefined);
+      dirty.delete(key);
+      removed.add(key);
+    },
+    // Every storage key starting with prefix, including pending writes
+    async keys(prefix) {
+      if (parent) {
+        const keys = new Set([...await parent.keys(prefix), ...dirty]);
+        removed.forEach(key => keys.delete(key));
+        return [...keys].filter(key => key.startsWith(prefix));
+      }
+      if (!allKeys) {
+        const items = await chrome.storage.local.get(null);
+        allKeys = Object.keys(items);
+        // Everything was just read, so warm the cache without overwriting pending changes
+        Object.entries(items).forEach(([key, value]) => {
+          if (!cache.has(key)) cache.set(key, value);
+        });
+      }
+      const keys = new Set([...allKeys, ...dirty]);
+      removed.forEach(key => keys.delete(key));
+      return [...keys].filter(key => key.startsWith(prefix));
+    },
+    async commit() {
+      if (parent) {
+        dirty.forEach(key => parent.set(key, cache.get(key)));
+        removed.forEach(key => parent.remove(key));
+        return;
+      }
+      if (dirty.size > 0) {
+        await chrome.storage.local.set(Object.fromEntries([...dirty].map(key => [key, cache.get(key)])));
+      }
+      if (removed.size > 0) {
+        await chrome.storage.local.remove([...removed]);
+      }
+    }
+  };
+}
+
+// Queue a mutation: async (tx) => result
+// Mutations run one at a time, so their reads always see earlier writes. Those queued while
+// a batch is being written share the next transaction and are committed together; the writes of
+// one that throws are dropped.
+function queueMutation(mutate) {
+  return new Promise((resolve, reject) => {
+    pendingMutations.push({ mutate, resolve, reject });
+    if (!flushPromise) {
+      flushPromise = flushMutations();
+    }
+  });
+}
+
+// Apply queued mutations in batches until the queue is empty
+async function flushMutations() {
+  // Let mutations queued in the same tick join the first batch
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  while (pendingMutations.length > 0) {
+    const batch = pendingMutations.splice(0);
+    const tx = createTransaction();
+    const results = [];
+
+    for (const { mutate } of batch) {
+      const mutationTx = createTransaction(tx);
+      try {
+        results.push({ value: await mutate(mutationTx) });
+        await mutationTx.commit();
+      } catch (error) {
+        results.push({ error });
+      }
+    }
+
+    try {
+      await tx.commit();
+      batch.forEach(({ resolve, reject }, i) => {
+        if (results[i].error) reject(results[i].error);
+        else resolve(results[i].value);
+      });
+    } catch (error) {
+      batch.forEach(({ reject }) => reject(error));
+    }
+  }
+
+  flushPromise = null;
+}
+
+// Replace all history inside a transaction, removing days and sites that no longer exist
+async function writeWebTimeData(tx, data) {
+  const items = splitWebTimeData(data);
+  [...await tx.keys(DAY_KEY_PREFIX), ...await tx.keys(SITE_KEY_PREFIX)]
+    .filter(key => !items[key])
+    .forEach(key => tx.remove(key));
+  if (await tx.get(SITES_KEY)) {
+    tx.remove(SITES_KEY);
+  }
+  Object.entries(items).forEach(([key, value]) => tx.set(key, value));
+}
+
+// Replace all page details inside a transaction
+async function writePathData(tx, pathData) {
+  (await tx.keys(PATHS_KEY_PREFIX))
+    .filter(key => !pathData[key.slice(PATHS_KEY_PREFIX.length)])
+    .forEach(key => tx.remove(key));
+  Object.entries(pathData).forEach(([dateKey, day]) => tx.set(getPathsStorageKey(dateKey), day));
+}
+
+// Replace the whole session log inside a transaction: { [dateKey]: [interval] }
+async function writeLogData(tx, logData) {
+  (await tx.keys(LOG_KEY_PREFIX))
+    .filter(key => !logData[key.slice(LOG_KEY_PREFIX.length)])
+    .forEach(key => tx.remove(key));
+  Object.entries(logData).forEach(([dateKey, log]) => tx.set(getLogStorageKey(dateKey), log));
+}
+
+// Load all history inside a transaction
+async function readWebTimeData(tx) {
+  const items = {
+    [META_KEY]: await tx.get(META_KEY),
+    [SITES_KEY]: await tx.get(SITES_KEY),
+    [MONTHLY_KEY]: await tx.get(MONTHLY_KEY)
+  };
+  for (const key of [...await tx.keys(SITE_KEY_PREFIX), ...await tx.keys(DAY_KEY_PREFIX)]) {
+    items[key] = await tx.get(key);
+  }
+  return assembleWebTimeData(items);
+}
+
+// Load all page details inside a transaction
+async function readPathData(tx) {
+  const pathData = {};
+  for (const key of await tx.keys(PATHS_KEY_PREFIX)) {
+    pathData[key.slice(PATHS_KEY_PREFIX.length)] = await tx.get(key);
+  }
+  return pathData;
+}
+
+// Load the whole session log inside a transaction
+async function readLogData(tx) {
+  const logData = {};
+  for (const key of await tx.keys(LOG_KEY_PREFIX)) {
+    logData[key.slice(LOG_KEY_PREFIX.length)] = await tx.get(key);
+  }
+  return logData;
+}
@@ -0,0 +1,47 @@
+// Quipu Pacha public suffixes
+// Multi-label suffixes under which each label is a separate site, so news.bbc.co.uk groups
+// as bbc.co.uk rather than co.uk. Single-label TLDs (.com, .de, ...) need no entry.
+// A compact subset of the Public Suffix List (https://publicsuffix.org) covering common
+// country second-level domains and shared hosting platforms.
+
+const MULTI_LABEL_SUFFIXES = new Set([
+  // Country second-level domains
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'me.uk', 'net.uk', 'nhs.uk', 'plc.uk', 'sch.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'id.au',
+  'co.nz', 'net.nz', 'org.nz', 'ac.nz', 'govt.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp', 'ad.jp', 'ed.jp', 'gr.jp', 'lg.jp',
+  'co.kr', 'or.kr', 'ac.kr', 'go.kr', 'ne.kr',
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn',
+  'com.hk', 'org.hk', 'edu.hk', 'gov.hk',
+  'com.tw', 'org.tw', 'edu.tw', 'gov.tw',
+  'com.sg', 'edu.sg', 'gov.sg', 'org.sg',
+  'co.in', 'net.in', 'org.in', 'ac.in', 'gov.in', 'edu.in',
+  'co.id', 'ac.id', 'go.id', 'or.id',
+  'com.my', 'edu.my', 'gov.my', 'org.my',
+  'com.ph', 'edu.ph', 'gov.ph',
+  'co.th', 'ac.th', 'go.th', 'in.th',
+  'com.vn', 'edu.vn', 'gov.vn',
+  'com.br', 'net.br', 'org.br', 'gov.br', 'edu.br',
+  'com.ar', 'gob.ar', 'edu.ar', 'org.ar',
+  'com.mx', 'gob.mx', 'edu.mx', 'org.mx',
+  'com.co', 'gov.co', 'edu.co',
+  'com.pe', 'gob.pe', 'edu.pe',
+  'co.za', 'gov.za', 'ac.za', 'org.za',
+  'com.ng', 'gov.ng', 'edu.ng',
+  'co.ke', 'go.ke', 'ac.ke',
+  'com.eg', 'gov.eg', 'edu.eg',
+  'com.tr', 'gov.tr', 'edu.tr', 'org.tr',
+  'co.il', 'ac.il', 'gov.il', 'org.il',
+  'com.sa', 'gov.sa', 'edu.sa',
+  'com.ua', 'gov.ua', 'edu.ua',
+  'com.pl', 'net.pl', 'org.pl', 'gov.pl',
+  'co.at', 'or.at', 'gv.at', 'ac.at',
+  'com.pt', 'gov.pt', 'edu.pt',
+  'com.es', 'gob.es', 'edu.es', 'org.es',
+  'com.gr', 'gov.gr', 'edu.gr',
+  // Shared hosting platforms - every customer is its own site
+  'github.io', 'gitlab.io', 'pages.dev', 'workers.dev', 'netlify.app', 'vercel.app', 'web.app',
+  'firebaseapp.com', 'herokuapp.com', 'appspot.com', 'blogspot.com', 'azurewebsites.net',
+  'cloudfront.net', 'fly.dev', 'onrender.com', 'glitch.me', 'replit.app', 'surge.sh',
+  'readthedocs.io', 's3.amazonaws.com'
+]);
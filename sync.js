@@ -0,0 +1,246 @@
+// Quipu Pacha cross-device sync (opt-in)
+// Each install shares compact per-day totals - { [domain]: seconds }, nothing else - tagged with
+// its device ID, and keeps what other devices shared in webtime_devices, one entry per device:
+//   'storage' - chrome.storage.sync, limited to recent days to stay within its quota
+//   'folder'  - one AES-GCM encrypted file per device in a folder the user picked and keeps in
+//               sync themselves (Dropbox, Syncthing, a network share...)
+// Loaded by the background service worker, which runs the sync, and by the options page.
+
+const SYNC_STATUS_KEY = 'webtime_sync_status';
+const SYNC_SECRET_KEY = 'webtime_sync_secret';
+const SYNC_STORAGE_PREFIX = 'webtime_sync_';
+const SYNC_STORAGE_DAYS = 7;
+const SYNC_ITEM_BYTES = 3000; // per day - chrome.storage.sync allows 8 KB per item, 100 KB in total
+const SYNC_FOLDER_DAYS = 90;
+const SYNC_FILE_EXTENSION = '.qpsync';
+const SYNC_FILE_FORMAT = 'quipu-pacha-sync';
+const SYNC_PBKDF2_ITERATIONS = 250000;
+const SYNC_DB_NAME = 'quipu-pacha';
+const SYNC_DB_STORE = 'handles';
+
+// This install's device { id, name }, created on first use
+async function getDeviceInfo() {
+  const items = await chrome.storage.local.get([DEVICE_KEY]);
+  if (items[DEVICE_KEY]) return items[DEVICE_KEY];
+
+  const platform = navigator.userAgentData?.platform || 'this computer';
+  const device = { id: crypto.randomUUID().slice(0, 8), name: `Chrome on ${platform}` };
+  await chrome.storage.local.set({ [DEVICE_KEY]: device });
+  return device;
+}
+
+// One day of dailyStats as { [domain]: seconds }, busiest first, trimmed to maxBytes of JSON
+function compactDay(dayStats, maxBytes = Infinity) {
+  const compact = {};
+  let size = 2;
+  const entries = Object.entries(dayStats || {}).sort((a, b) => b[1].time - a[1].time);
+  for (const [domain, data] of entries) {
+    const seconds = Math.round(data.time / 1000);
+    const entrySize = JSON.stringify(domain).length + String(seconds).length + 2;
+    if (seconds === 0 || size + entrySize > maxBytes) break;
+    compact[domain] = seconds;
+    size += entrySize;
+  }
+  return compact;
+}
+
+// What this device shares: { id, name, updated, days: { [dateKey]: { [domain]: seconds } } }
+function buildSyncPayload(webTimeData, device, dateKeys, maxDayBytes) {
+  const days = {};
+  dateKeys.forEach(key => {
+    const day = compactDay(webTimeData.dailyStats[key], maxDayBytes);
+    if (Object.keys(day).length > 0) days[key] = day;
+  });
+  return { id: device.id, name: device.name, updated: Date.now(), days };
+}
+
+// Whether data read from sync storage or a file has the payload shape
+function isValidSyncPayload(payload) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  return isObject(payload) &&
+    typeof payload.id === 'string' &&
+    typeof payload.name === 'string' &&
+    Number.isFinite(payload.updated) &&
+    isObject(payload.days) &&
+    Object.entries(payload.days).every(([key, day]) => /^\d{4}-\d{2}-\d{2}$/.test(key) && isObject(day) &&
+      Object.values(day).every(seconds => Number.isFinite(seconds) && seconds >= 0));
+}
+
+// Fold another device's payload into webtime_devices: { [id]: { name, updated, days } }
+// Days in the payload replace what was known for them; older days are kept until cutoffKey
+function mergeDevicePayload(devices, payload, cutoffKey) {
+  const device = devices[payload.id] = devices[payload.id] || { name: payload.name, updated: 0, days: {} };
+  if (payload.updated < device.updated) return;
+
+  device.name = payload.name;
+  device.updated = payload.updated;
+  Object.assign(device.days, payload.days);
+  Object.keys(device.days)
+    .filter(key => cutoffKey && key < cutoffKey)
+    .forEach(key => delete device.days[key]);
+}
+
+// ---- chrome.storage.sync ----
+
+// Replace this device's items: webtime_sync_<id> { name, updated } and webtime_sync_<id>_<date>
+// Unchanged days aren't rewritten, to spare the hourly write quota
+async function pushToStorageSync(payload) {
+  const prefix = `${SYNC_STORAGE_PREFIX}${payload.id}`;
+  const existing = await chrome.storage.sync.get(null);
+  const items = { [prefix]: { name: payload.name, updated: payload.updated } };
+  Object.entries(payload.days).forEach(([key, day]) => {
+    items[`${prefix}_${key}`] = day;
+  });
+
+  const stale = Object.keys(existing).filter(key => key.startsWith(`${prefix}_`) && !items[key]);
+  const changed = Object.entries(items).filter(([key, value]) => JSON.stringify(existing[key]) !== JSON.stringify(value));
+  if (stale.length > 0) {
+    await chrome.storage.sync.remove(stale);
+  }
+  await chrome.storage.sync.set(Object.fromEntries(changed));
+}
+
+// Payloads other devices pushed to chrome.storage.sync
+async function pullFromStorageSync(ownId) {
+  const items = await chrome.storage.sync.get(null);
+  const payloads = {};
+  Object.entries(items).forEach(([key, value]) => {
+    if (!key.startsWith(SYNC_STORAGE_PREFIX)) return;
+    const [id, dateKey] = key.slice(SYNC_STORAGE_PREFIX.length).split('_');
+    if (id === ownId) return;
+
+    const payload = payloads[id] = payloads[id] || { id, name: id, updated: 0, days: {} };
+    if (dateKey) {
+      payload.days[dateKey] = value;
+    } else {
+      payload.name = value.name;
+      payload.updated = value.updated;
+    }
+  });
+  return Object.values(payloads);
+}
+
+// Remove this device's items from chrome.storage.sync
+async function clearStorageSync(ownId) {
+  const prefix = `${SYNC_STORAGE_PREFIX}${ownId}`;
+  const keys = Object.keys(await chrome.storage.sync.get(null))
+    .filter(key => key === prefix || key.startsWith(`${prefix}_`));
+  await chrome.storage.sync.remove(keys);
+}
+
+// ---- Encrypted folder ----
+
+// The picked folder's handle lives in IndexedDB - handles can't be stored in chrome.storage
+function openSyncDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SYNC_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(SYNC_DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Read or replace the sync folder handle (null when none was picked)
+async function getSyncFolder() {
+  const db = await openSyncDb();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(SYNC_DB_STORE).objectStore(SYNC_DB_STORE).get('folder');
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function setSyncFolder(handle) {
+  const db = await openSyncDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SYNC_DB_STORE, 'readwrite');
+    transaction.objectStore(SYNC_DB_STORE).put(handle, 'folder');
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Bytes to and from base64 for the JSON file
+// Converted in chunks - spreading a large file into one call overflows the stack
+function bytesToBase64(bytes) {
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// AES-GCM key from the passphrase, stretched with PBKDF2
+async function deriveSyncKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: SYNC_PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Encrypt a payload into the sync file's JSON text - a fresh salt and IV every time
+async function encryptSyncPayload(payload, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveSyncKey(passphrase, salt);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(payload)));
+  return JSON.stringify({
+    format: SYNC_FILE_FORMAT,
+    version: 1,
+    salt: bytesToBase64(salt),
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(new Uint8Array(data))
+  });
+}
+
+// Decrypt a sync file's text - throws on a different passphrase or a tampered file
+async function decryptSyncPayload(text, passphrase) {
+  const file = JSON.parse(text);
+  if (file.format !== SYNC_FILE_FORMAT || file.version !== 1) {
+    throw new Error('Not a Quipu Pacha sync file');
+  }
+  const key = await deriveSyncKey(passphrase, base64ToBytes(file.salt));
+  try {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(file.iv) }, key, base64ToBytes(file.data));
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    throw new Error('Wrong passphrase or damaged file');
+  }
+}
+
+// Write this device's file to the sync folder and read every other device's
+// Unreadable files are skipped so one bad file doesn't stop the rest
+async function syncWithFolder(payload, passphrase) {
+  const folder = await getSyncFolder();
+  if (!folder) {
+    throw new Error('Choose a sync folder in Settings');
+  }
+  if (await folder.queryPermission({ mode: 'readwrite' }) !== 'granted') {
+    throw new Error('Allow access to the sync folder again in Settings');
+  }
+
+  const ownName = `${payload.id}${SYNC_FILE_EXTENSION}`;
+  const writable = await (await folder.getFileHandle(ownName, { create: true })).createWritable();
+  await writable.write(await encryptSyncPayload(payload, passphrase));
+  await writable.close();
+
+  const payloads = [];
+  for await (const [name, handle] of folder.entries()) {
+    if (handle.kind !== 'file' || !name.endsWith(SYNC_FILE_EXTENSION) || name === ownName) continue;
+    try {
+      payloads.push(await decryptSyncPayload(await (await handle.getFile()).text(), passphrase));
+    } catch (error) {
+      console.error(`Error reading sync file ${name}:`, error);
+    }
+  }
+  return payloads;
+}